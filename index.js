@@ -4,6 +4,9 @@ import expressAsyncApi from 'express-async-api'
 
 // Import route modules
 import emailAuthRoutes from './src/routes/emailAuth.js'
+import jobRoutes from './src/routes/jobs.js'
+import historyRoutes from './src/routes/history.js'
+import { resumeJobs } from './src/services/jobService.js'
 
 const app = express()
 const PORT = process.env.PORT || 3000
@@ -31,16 +34,35 @@ app.get('/health', (req, res) => {
     endpoints: [
       'GET /health',
       'POST /api/analyze-dmarc',
+      'POST /api/analyze-dmarc-reports',
+      'POST /api/analyze-dmarc-failure-reports',
       'POST /api/analyze-spf',
+      'POST /api/check-spf-ip',
+      'POST /api/flatten-spf',
       'POST /api/analyze-dkim',
+      'POST /api/generate-dkim-key',
+      'POST /api/verify-dkim-key',
       'POST /api/analyze-mx',
+      'POST /api/analyze-mta-sts',
+      'POST /api/analyze-bimi',
+      'POST /api/analyze-blocklists',
+      'POST /api/analyze-dane',
       'POST /api/analyze-email-security',
+      'POST /api/analyze-bulk',
+      'POST /api/jobs',
+      'GET /api/jobs/:id',
+      'GET /api/domains/:domain/history',
+      'GET /api/domains/:domain/diff',
+      'POST /api/analyze-message',
+      'POST /api/generate-record',
       'POST /api/analyze-dmarc-by-domain (legacy)'
     ]
   })
 })
 
-// Mount route modules
+// Mount route modules (job polling and history reads are mounted first so they skip the analysis rate limit)
+app.use('/api', jobRoutes)
+app.use('/api', historyRoutes)
 app.use('/api', emailAuthRoutes)
 
 app.listen(PORT, () => {
@@ -51,10 +73,27 @@ app.listen(PORT, () => {
   console.log(`📋 Available endpoints:`)
   console.log(`   GET  /health`)
   console.log(`   POST /api/analyze-dmarc`)
+  console.log(`   POST /api/analyze-dmarc-reports`)
+  console.log(`   POST /api/analyze-dmarc-failure-reports`)
   console.log(`   POST /api/analyze-spf`)
+  console.log(`   POST /api/check-spf-ip`)
+  console.log(`   POST /api/flatten-spf`)
   console.log(`   POST /api/analyze-dkim`)
-  console.log(`   POST /api/analyze-mx`)
+  console.log(`   POST /api/generate-dkim-key`)
+  console.log(`   POST /api/verify-dkim-key`)
+  console.log(`   POST /api/analyze-mx (deep: true probes SMTP/STARTTLS)`)
+  console.log(`   POST /api/analyze-mta-sts`)
+  console.log(`   POST /api/analyze-bimi`)
+  console.log(`   POST /api/analyze-blocklists`)
+  console.log(`   POST /api/analyze-dane`)
   console.log(`   POST /api/analyze-email-security (comprehensive)`)
+  console.log(`   POST /api/analyze-bulk (NDJSON or SSE stream)`)
+  console.log(`   POST /api/jobs (async single or bulk analysis)`)
+  console.log(`   GET  /api/jobs/:id`)
+  console.log(`   GET  /api/domains/:domain/history`)
+  console.log(`   GET  /api/domains/:domain/diff (?from=&to= scan ids)`)
+  console.log(`   POST /api/analyze-message`)
+  console.log(`   POST /api/generate-record`)
   console.log(`   POST /api/analyze-dmarc-by-domain (legacy)`)
   console.log(``)
   console.log(`✨ Features:`)
@@ -66,4 +105,8 @@ app.listen(PORT, () => {
   console.log(`   • Enhanced CORS for frontend integration`)
   console.log(`   • Mailauth library integration for advanced analysis`)
   console.log(`   • Modular architecture for maintainability`)
+
+  resumeJobs()
+    .then(({ resumed }) => resumed && console.log(`⏯️  Resumed ${resumed} unfinished job(s)`))
+    .catch(error => console.error('Failed to resume jobs:', error))
 })
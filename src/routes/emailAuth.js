@@ -1,10 +1,24 @@
 // src/routes/emailAuth.js
 import express from 'express'
+import { isIP } from 'net'
 import { analyzeDMARC } from '../services/dmarcService.js'
+import { analyzeAggregateReports, analyzeFailureReports } from '../services/dmarcReportService.js'
 import { analyzeSPF } from '../services/spfService.js'
-import { analyzeDKIM } from '../services/dkimService.js'
+import { flattenSPF } from '../services/spfFlattenService.js'
+import { checkSPF } from '../services/spfCheckService.js'
+import { analyzeDKIM, discoverDKIMSelectors, MAX_CUSTOM_SELECTORS } from '../services/dkimService.js'
+import { generateDKIMKeyPair, verifyDKIMKey } from '../services/dkimKeyService.js'
 import { analyzeMX } from '../services/mxService.js'
+import { analyzeMTASTS } from '../services/mtaStsService.js'
+import { analyzeBIMI } from '../services/bimiService.js'
+import { analyzeBlocklists, MAX_BLOCKLIST_ZONES } from '../services/blocklistService.js'
+import { analyzeDANE } from '../services/daneService.js'
 import { analyzeEmailSecurity } from '../services/emailSecurityService.js'
+import { analyzeBulk, MAX_BULK_DOMAINS, MAX_BULK_CONCURRENCY } from '../services/bulkService.js'
+import { analyzeMessage } from '../services/messageService.js'
+import { generateRecord, fixRecord, RECORD_TYPES } from '../services/recordGeneratorService.js'
+import { parseMultipart, groupMultipartParts } from '../utils/multipart.js'
+import { parseDomainList, normalizeDomainList } from '../utils/domainList.js'
 import { rateLimitMiddleware } from '../utils/rateLimit.js'
 
 const router = express.Router()
@@ -15,7 +29,7 @@ router.use(rateLimitMiddleware)
 // DMARC Analysis Endpoint
 router.post('/analyze-dmarc', async (req, res) => {
   try {
-    const { domain } = req.body
+    const { domain, discovery, strict } = req.body
 
     if (!domain) {
       return res.status(400).json({
@@ -34,7 +48,14 @@ router.post('/analyze-dmarc', async (req, res) => {
       })
     }
 
-    const result = await analyzeDMARC(cleanDomain)
+    if (discovery !== undefined && !['psl', 'treewalk'].includes(discovery)) {
+      return res.status(400).json({
+        success: false,
+        error: 'discovery must be "psl" or "treewalk"'
+      })
+    }
+
+    const result = await analyzeDMARC(cleanDomain, { discovery, strict: strict === true || strict === 'true' })
     res.json(result)
 
   } catch (error) {
@@ -49,7 +70,7 @@ router.post('/analyze-dmarc', async (req, res) => {
 // SPF Analysis Endpoint
 router.post('/analyze-spf', async (req, res) => {
   try {
-    const { domain } = req.body
+    const { domain, ip, helo, mailFrom } = req.body
 
     if (!domain) {
       return res.status(400).json({
@@ -68,7 +89,14 @@ router.post('/analyze-spf', async (req, res) => {
       })
     }
 
-    const result = await analyzeSPF(cleanDomain)
+    if (ip && !isIP(String(ip).trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid IPv4 or IPv6 address'
+      })
+    }
+
+    const result = await analyzeSPF(cleanDomain, { ip, helo, mailFrom })
     res.json(result)
 
   } catch (error) {
@@ -80,10 +108,92 @@ router.post('/analyze-spf', async (req, res) => {
   }
 })
 
+// SPF Sending IP Check Endpoint
+router.post('/check-spf-ip', async (req, res) => {
+  try {
+    const { domain, ip, helo, mailFrom } = req.body
+
+    if (!ip || !isIP(String(ip).trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid IPv4 or IPv6 address is required'
+      })
+    }
+
+    if (!domain && !helo && !mailFrom) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain, helo or mailFrom is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain
+      ? domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+      : undefined
+
+    const result = await checkSPF({
+      ip: String(ip).trim(),
+      domain: cleanDomain,
+      helo: helo ? String(helo).trim().toLowerCase() : undefined,
+      mailFrom: mailFrom ? String(mailFrom).trim() : undefined
+    })
+    res.json(result)
+
+  } catch (error) {
+    console.error('SPF IP check error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate SPF for IP'
+    })
+  }
+})
+
+// SPF Flattening Endpoint
+router.post('/flatten-spf', async (req, res) => {
+  try {
+    const { domain, subdomainPrefix } = req.body
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    if (subdomainPrefix !== undefined && !/^_?[a-z0-9-]{1,32}$/i.test(subdomainPrefix)) {
+      return res.status(400).json({
+        success: false,
+        error: 'subdomainPrefix must be a single DNS label'
+      })
+    }
+
+    const result = await flattenSPF(cleanDomain, { subdomainPrefix })
+    res.json(result)
+
+  } catch (error) {
+    console.error('SPF flattening error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to flatten SPF record'
+    })
+  }
+})
+
 // DKIM Analysis Endpoint
 router.post('/analyze-dkim', async (req, res) => {
   try {
-    const { domain, selector = 'default' } = req.body
+    const { domain, selector, selectors } = req.body
 
     if (!domain) {
       return res.status(400).json({
@@ -102,7 +212,31 @@ router.post('/analyze-dkim', async (req, res) => {
       })
     }
 
-    const result = await analyzeDKIM(cleanDomain, selector)
+    if (selectors !== undefined && !Array.isArray(selectors)) {
+      return res.status(400).json({
+        success: false,
+        error: 'selectors must be an array of selector names'
+      })
+    }
+
+    if (selectors && selectors.length > MAX_CUSTOM_SELECTORS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_CUSTOM_SELECTORS} selectors can be probed per request`
+      })
+    }
+
+    if (selectors && selectors.some(entry => typeof entry !== 'string' || !/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i.test(entry.trim()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every selector must be a DNS label such as "default"'
+      })
+    }
+
+    // Without an explicit selector, probe common provider selectors
+    const result = selector
+      ? await analyzeDKIM(cleanDomain, selector)
+      : await discoverDKIMSelectors(cleanDomain, { selectors })
     res.json(result)
 
   } catch (error) {
@@ -114,10 +248,94 @@ router.post('/analyze-dkim', async (req, res) => {
   }
 })
 
+// DKIM Key Generation Endpoint
+router.post('/generate-dkim-key', async (req, res) => {
+  try {
+    const { domain, selector, keyType, keySize, testing } = req.body
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    const result = await generateDKIMKeyPair(cleanDomain, { selector, keyType, keySize, testing })
+    // Responses carry a private key and must never be cached
+    res.set('Cache-Control', 'no-store')
+    res.json(result)
+
+  } catch (error) {
+    console.error('DKIM key generation error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate DKIM key'
+    })
+  }
+})
+
+// DKIM Key Verification Endpoint
+router.post('/verify-dkim-key', async (req, res) => {
+  try {
+    const { domain, selector, publicKey, privateKey } = req.body
+
+    if (!domain || !selector) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain and selector are required'
+      })
+    }
+
+    if (typeof selector !== 'string' || !/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i.test(selector.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'selector must be a DNS label such as "default"'
+      })
+    }
+
+    if (!publicKey && !privateKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'publicKey or privateKey is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    const result = await verifyDKIMKey(cleanDomain, selector.trim().toLowerCase(), publicKey || privateKey)
+    res.json(result)
+
+  } catch (error) {
+    console.error('DKIM key verification error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify DKIM key'
+    })
+  }
+})
+
 // MX Analysis Endpoint
 router.post('/analyze-mx', async (req, res) => {
   try {
-    const { domain } = req.body
+    const { domain, deep } = req.body
 
     if (!domain) {
       return res.status(400).json({
@@ -136,7 +354,8 @@ router.post('/analyze-mx', async (req, res) => {
       })
     }
 
-    const result = await analyzeMX(cleanDomain)
+    // Deep mode connects to each MX on port 25; the connection target is not configurable over HTTP
+    const result = await analyzeMX(cleanDomain, { deep: deep === true })
     res.json(result)
 
   } catch (error) {
@@ -148,10 +367,181 @@ router.post('/analyze-mx', async (req, res) => {
   }
 })
 
+// MTA-STS and TLS-RPT Analysis Endpoint
+router.post('/analyze-mta-sts', async (req, res) => {
+  try {
+    const { domain } = req.body
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    const result = await analyzeMTASTS(cleanDomain)
+    res.json(result)
+
+  } catch (error) {
+    console.error('MTA-STS analysis error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze MTA-STS'
+    })
+  }
+})
+
+// BIMI Analysis Endpoint
+router.post('/analyze-bimi', async (req, res) => {
+  try {
+    const { domain, selector } = req.body
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    if (selector !== undefined && (typeof selector !== 'string' || !/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i.test(selector.trim()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'selector must be a DNS label such as "default"'
+      })
+    }
+
+    const result = await analyzeBIMI(cleanDomain, { selector: selector?.trim() })
+    res.json(result)
+
+  } catch (error) {
+    console.error('BIMI analysis error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze BIMI'
+    })
+  }
+})
+
+// Blocklist (DNSBL / domain blocklist) Endpoint
+router.post('/analyze-blocklists', async (req, res) => {
+  try {
+    const { domain, ipZones, domainZones } = req.body
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    for (const [name, zones] of [['ipZones', ipZones], ['domainZones', domainZones]]) {
+      if (zones !== undefined && (!Array.isArray(zones) || !zones.every(zone => typeof zone === 'string' && /^([a-z0-9-]+\.)+[a-z0-9-]+$/i.test(zone)))) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be an array of DNS zone names`
+        })
+      }
+      if (zones !== undefined && zones.length > MAX_BLOCKLIST_ZONES) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} may list at most ${MAX_BLOCKLIST_ZONES} zones`
+        })
+      }
+    }
+
+    const result = await analyzeBlocklists(cleanDomain, { ipZones, domainZones })
+    res.json(result)
+
+  } catch (error) {
+    console.error('Blocklist analysis error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check blocklists'
+    })
+  }
+})
+
+// DANE (TLSA for SMTP) Endpoint
+// certificates: optional PEM chain, or { "mx.example.com": pem } per host; otherwise fetched over STARTTLS
+router.post('/analyze-dane', async (req, res) => {
+  try {
+    const { domain, certificates } = req.body
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    if (certificates !== undefined && typeof certificates !== 'string' &&
+      (!certificates || typeof certificates !== 'object' || Array.isArray(certificates) || !Object.values(certificates).every(pem => typeof pem === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'certificates must be a PEM chain or an object mapping MX hosts to PEM chains'
+      })
+    }
+
+    const normalized = certificates && typeof certificates === 'object'
+      ? Object.fromEntries(Object.entries(certificates).map(([host, pem]) => [host.toLowerCase().replace(/\.$/, ''), pem]))
+      : certificates
+
+    const result = await analyzeDANE(cleanDomain, { certificates: normalized })
+    res.json(result)
+
+  } catch (error) {
+    console.error('DANE analysis error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze DANE'
+    })
+  }
+})
+
 // Comprehensive Email Security Analysis Endpoint
 router.post('/analyze-email-security', async (req, res) => {
   try {
-    const { domain, dkimSelector = 'default' } = req.body
+    const { domain, dkimSelector, blocklists } = req.body
 
     if (!domain) {
       return res.status(400).json({
@@ -170,7 +560,7 @@ router.post('/analyze-email-security', async (req, res) => {
       })
     }
 
-    const result = await analyzeEmailSecurity(cleanDomain, dkimSelector)
+    const result = await analyzeEmailSecurity(cleanDomain, dkimSelector, { blocklists: blocklists === true })
     res.json(result)
 
   } catch (error) {
@@ -182,6 +572,325 @@ router.post('/analyze-email-security', async (req, res) => {
   }
 })
 
+// Bulk Email Security Analysis Endpoint
+// Accepts JSON { domains: [...] or CSV text, dkimSelector, blocklists, concurrency, format }, a text/csv body, or a multipart upload
+// Streams one line per domain as NDJSON, or Server-Sent Events with format=sse / Accept: text/event-stream, then a summary
+router.post('/analyze-bulk', express.raw({
+  type: ['text/csv', 'text/plain', 'application/octet-stream', 'multipart/form-data'],
+  limit: '5mb'
+}), async (req, res) => {
+  let write = null
+
+  try {
+    let list
+    let fields = {}
+
+    if (Buffer.isBuffer(req.body)) {
+      if (req.is('multipart/form-data')) {
+        const { fields: formFields, files } = groupMultipartParts(parseMultipart(req.body, req.headers['content-type']))
+        fields = formFields
+        list = parseDomainList(files.length > 0 ? files[0].data.toString('utf8') : formFields.domains || '')
+      } else {
+        fields = req.query
+        list = parseDomainList(req.body.toString('utf8'))
+      }
+    } else {
+      fields = req.body || {}
+      list = Array.isArray(fields.domains)
+        ? normalizeDomainList(fields.domains)
+        : parseDomainList(typeof fields.domains === 'string' ? fields.domains : '')
+    }
+
+    if (list.domains.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one valid domain is required',
+        invalid: list.invalid
+      })
+    }
+
+    if (list.domains.length > MAX_BULK_DOMAINS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BULK_DOMAINS} domains can be analyzed per request`
+      })
+    }
+
+    const concurrency = fields.concurrency === undefined ? undefined : Number(fields.concurrency)
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BULK_CONCURRENCY)) {
+      return res.status(400).json({
+        success: false,
+        error: `concurrency must be an integer between 1 and ${MAX_BULK_CONCURRENCY}`
+      })
+    }
+
+    const { dkimSelector } = fields
+    if (dkimSelector !== undefined && dkimSelector !== '' && (typeof dkimSelector !== 'string' || !/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i.test(dkimSelector.trim()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'dkimSelector must be a DNS label such as "default"'
+      })
+    }
+
+    const sse = fields.format === 'sse' || (fields.format !== 'ndjson' && req.accepts(['application/x-ndjson', 'text/event-stream']) === 'text/event-stream')
+    write = (event, data) => {
+      if (res.writableEnded) return
+      res.write(sse
+        ? `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+        : `${JSON.stringify({ type: event, ...data })}\n`)
+    }
+
+    // Stop dispatching new domains once the client goes away
+    const controller = new AbortController()
+    res.on('close', () => controller.abort())
+
+    res.status(200)
+    res.setHeader('Content-Type', sse ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('X-Accel-Buffering', 'no')
+    res.flushHeaders()
+
+    write('start', { total: list.domains.length, invalid: list.invalid })
+
+    const summary = await analyzeBulk(list.domains, {
+      concurrency,
+      dkimSelector: dkimSelector ? dkimSelector.trim() : null,
+      blocklists: fields.blocklists === true || fields.blocklists === 'true',
+      signal: controller.signal,
+      onResult: entry => write('result', entry)
+    })
+
+    write('summary', { ...summary, invalid: list.invalid })
+    res.end()
+
+  } catch (error) {
+    console.error('Bulk analysis error:', error)
+    if (res.headersSent) {
+      write?.('error', { error: 'Failed to analyze domains' })
+      res.end()
+      return
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze domains'
+    })
+  }
+})
+
+// Raw Message Authentication Endpoint
+// Accepts JSON { message, ip, helo, mailFrom }, a raw message/rfc822 body, or a multipart upload
+router.post('/analyze-message', express.raw({
+  type: ['message/rfc822', 'text/plain', 'application/octet-stream', 'multipart/form-data'],
+  limit: '25mb'
+}), async (req, res) => {
+  try {
+    let message
+    let fields = {}
+
+    if (Buffer.isBuffer(req.body)) {
+      if (req.is('multipart/form-data')) {
+        const { fields: formFields, files } = groupMultipartParts(parseMultipart(req.body, req.headers['content-type']))
+        fields = formFields
+        message = files.length > 0 ? files[0].data : formFields.message
+      } else {
+        fields = req.query
+        message = req.body
+      }
+    } else {
+      fields = req.body || {}
+      message = fields.message
+    }
+
+    if (!message || message.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required'
+      })
+    }
+
+    if (typeof message !== 'string' && !Buffer.isBuffer(message)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message must be the raw message text'
+      })
+    }
+
+    const { ip, helo, mailFrom } = fields
+
+    if (ip && !isIP(String(ip).trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid IPv4 or IPv6 address'
+      })
+    }
+
+    // Normalize bare LF line endings from pasted EML text
+    const rawMessage = Buffer.isBuffer(message)
+      ? message
+      : Buffer.from(String(message).replace(/\r?\n/g, '\r\n'))
+
+    const result = await analyzeMessage(rawMessage, {
+      ip: ip ? String(ip).trim() : undefined,
+      helo: helo ? String(helo).trim() : undefined,
+      mailFrom: mailFrom ? String(mailFrom).trim() : undefined
+    })
+    res.json(result)
+
+  } catch (error) {
+    console.error('Message analysis error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze message'
+    })
+  }
+})
+
+// DMARC Aggregate Report Endpoint
+// Accepts report files (XML, .gz or .zip) as a multipart upload, a raw body, or JSON { reports: [{ filename, content }] }
+router.post('/analyze-dmarc-reports', express.raw({
+  type: ['application/xml', 'text/xml', 'application/gzip', 'application/x-gzip', 'application/zip', 'application/octet-stream', 'multipart/form-data'],
+  limit: '25mb'
+}), async (req, res) => {
+  try {
+    let files = []
+
+    if (Buffer.isBuffer(req.body)) {
+      if (req.is('multipart/form-data')) {
+        const { files: uploads } = groupMultipartParts(parseMultipart(req.body, req.headers['content-type']))
+        files = uploads.map((upload, index) => ({ name: upload.filename || `report-${index + 1}`, data: upload.data }))
+      } else if (req.body.length > 0) {
+        files = [{ name: req.query.filename || 'report', data: req.body }]
+      }
+    } else {
+      const { reports } = req.body || {}
+      if (Array.isArray(reports)) {
+        files = reports
+          .filter(report => report && typeof report.content === 'string')
+          .map((report, index) => ({
+            name: report.filename || `report-${index + 1}`,
+            // XML can be sent as-is; compressed reports must be base64 encoded
+            data: report.content.trim().startsWith('<')
+              ? Buffer.from(report.content)
+              : Buffer.from(report.content, 'base64')
+          }))
+      }
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one DMARC aggregate report is required'
+      })
+    }
+
+    const result = await analyzeAggregateReports(files)
+    res.json(result)
+
+  } catch (error) {
+    console.error('DMARC report analysis error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze DMARC reports'
+    })
+  }
+})
+
+// DMARC Failure Report Endpoint
+// Accepts ARF messages as a multipart upload, a raw message/rfc822 body, or JSON { reports: [{ filename, content }] }
+router.post('/analyze-dmarc-failure-reports', express.raw({
+  type: ['message/rfc822', 'text/plain', 'application/octet-stream', 'multipart/form-data'],
+  limit: '25mb'
+}), async (req, res) => {
+  try {
+    let messages = []
+
+    if (Buffer.isBuffer(req.body)) {
+      if (req.is('multipart/form-data')) {
+        const { files } = groupMultipartParts(parseMultipart(req.body, req.headers['content-type']))
+        messages = files.map((file, index) => ({ name: file.filename || `report-${index + 1}`, data: file.data }))
+      } else if (req.body.length > 0) {
+        messages = [{ name: req.query.filename || 'report', data: req.body }]
+      }
+    } else {
+      const { reports } = req.body || {}
+      if (Array.isArray(reports)) {
+        messages = reports
+          .map(report => typeof report === 'string' ? { content: report } : report)
+          .filter(report => report && typeof report.content === 'string')
+          .map((report, index) => ({ name: report.filename || `report-${index + 1}`, data: Buffer.from(report.content) }))
+      }
+    }
+
+    if (messages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one DMARC failure report is required'
+      })
+    }
+
+    const result = await analyzeFailureReports(messages)
+    res.json(result)
+
+  } catch (error) {
+    console.error('DMARC failure report analysis error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze DMARC failure reports'
+    })
+  }
+})
+
+// DNS Record Generator Endpoint
+// mode "generate" builds a record from structured inputs; mode "fix" improves the domain's published record
+router.post('/generate-record', async (req, res) => {
+  try {
+    const { type, mode = 'generate', domain, ...inputs } = req.body
+
+    if (!RECORD_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${RECORD_TYPES.join(', ')}`
+      })
+    }
+
+    if (!['generate', 'fix'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mode must be "generate" or "fix"'
+      })
+    }
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain is required'
+      })
+    }
+
+    // Clean and validate domain
+    const cleanDomain = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
+    
+    if (!cleanDomain || cleanDomain.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please enter a valid domain name' 
+      })
+    }
+
+    const result = mode === 'fix'
+      ? await fixRecord(type, { ...inputs, domain: cleanDomain })
+      : await generateRecord(type, { ...inputs, domain: cleanDomain })
+    res.json(result)
+
+  } catch (error) {
+    console.error('Record generation error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate record'
+    })
+  }
+})
+
 // Legacy DMARC endpoint for backward compatibility
 router.post('/analyze-dmarc-by-domain', async (req, res) => {
   try {
@@ -0,0 +1,69 @@
+// src/routes/history.js
+import express from 'express'
+import { getDomainHistory, diffDomainScans } from '../services/historyService.js'
+import { normalizeDomainList } from '../utils/domainList.js'
+
+const router = express.Router()
+
+// Domain Scan History Endpoint
+// Every comprehensive analysis is recorded; ?limit=N returns the N most recent scans (default 50)
+router.get('/domains/:domain/history', async (req, res) => {
+  try {
+    const { domains: [cleanDomain] } = normalizeDomainList([req.params.domain])
+
+    if (!cleanDomain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid domain name'
+      })
+    }
+
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit)
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be a positive integer'
+      })
+    }
+
+    const result = await getDomainHistory(cleanDomain, { limit })
+    res.json(result)
+
+  } catch (error) {
+    console.error('History lookup error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load scan history'
+    })
+  }
+})
+
+// Domain Scan Diff Endpoint
+// ?from=<scan id>&to=<scan id>; defaults to the latest scan against the one before it
+router.get('/domains/:domain/diff', async (req, res) => {
+  try {
+    const { domains: [cleanDomain] } = normalizeDomainList([req.params.domain])
+
+    if (!cleanDomain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid domain name'
+      })
+    }
+
+    const result = await diffDomainScans(cleanDomain, {
+      from: typeof req.query.from === 'string' ? req.query.from : undefined,
+      to: typeof req.query.to === 'string' ? req.query.to : undefined
+    })
+    res.json(result)
+
+  } catch (error) {
+    console.error('History diff error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare scans'
+    })
+  }
+})
+
+export default router
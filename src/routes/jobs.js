@@ -0,0 +1,114 @@
+// src/routes/jobs.js
+import express from 'express'
+import { createJob, getJob } from '../services/jobService.js'
+import { MAX_BULK_DOMAINS, MAX_BULK_CONCURRENCY } from '../services/bulkService.js'
+import { parseDomainList, normalizeDomainList } from '../utils/domainList.js'
+import { rateLimitMiddleware } from '../utils/rateLimit.js'
+
+const router = express.Router()
+
+// Create Analysis Job Endpoint
+// Accepts { domain } for one comprehensive analysis or { domains: [...] or CSV text } for a bulk run,
+// plus optional dkimSelector, blocklists and (bulk) concurrency; responds 202 with the job to poll
+router.post('/jobs', rateLimitMiddleware, async (req, res) => {
+  try {
+    const { domain, domains, dkimSelector, blocklists, concurrency } = req.body || {}
+
+    if (!domain && !domains) {
+      return res.status(400).json({
+        success: false,
+        error: 'Domain or domains is required'
+      })
+    }
+
+    if (dkimSelector !== undefined && (typeof dkimSelector !== 'string' || !/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i.test(dkimSelector.trim()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'dkimSelector must be a DNS label such as "default"'
+      })
+    }
+
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BULK_CONCURRENCY)) {
+      return res.status(400).json({
+        success: false,
+        error: `concurrency must be an integer between 1 and ${MAX_BULK_CONCURRENCY}`
+      })
+    }
+
+    const options = {
+      dkimSelector: dkimSelector ? dkimSelector.trim() : undefined,
+      blocklists: blocklists === true,
+      concurrency
+    }
+
+    if (domains) {
+      const list = Array.isArray(domains)
+        ? normalizeDomainList(domains)
+        : parseDomainList(typeof domains === 'string' ? domains : '')
+
+      if (list.domains.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one valid domain is required',
+          invalid: list.invalid
+        })
+      }
+
+      if (list.domains.length > MAX_BULK_DOMAINS) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${MAX_BULK_DOMAINS} domains can be analyzed per job`
+        })
+      }
+
+      const job = await createJob({ domains: list.domains, options })
+      return res.status(202).json({ success: true, job, invalid: list.invalid })
+    }
+
+    // Clean and validate domain the same way as each domain of a bulk job
+    const { domains: [cleanedDomain] } = normalizeDomainList(typeof domain === 'string' ? [domain] : [])
+
+    if (!cleanedDomain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid domain name'
+      })
+    }
+
+    const job = await createJob({ domain: cleanedDomain, options })
+    res.status(202).json({ success: true, job })
+
+  } catch (error) {
+    console.error('Job creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create job'
+    })
+  }
+})
+
+// Job Status Endpoint
+// Not rate limited so clients can poll; ?results=false omits per-domain results of bulk jobs
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, { results: req.query.results !== 'false' })
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      })
+    }
+
+    res.json({ success: true, job })
+
+  } catch (error) {
+    console.error('Job status error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load job'
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,386 @@
+// src/services/bimiService.js
+import { X509Certificate, createHash } from 'crypto'
+import { getDomain } from 'tldts'
+import { vmc } from '@postalsys/vmc'
+import { parseVMC } from '@postalsys/vmc/lib/parse-vmc.js'
+import { analyzeDMARC } from './dmarcService.js'
+import { parseBIMIRecord, validateTinyPSLogo, isHTTPSURL } from '../utils/bimiParser.js'
+import { dnssecSummary } from '../utils/dnssec.js'
+import { resolver } from '../utils/dnsResolver.js'
+import { readLimitedBody } from '../utils/responseBody.js'
+
+const MAX_RESOURCE_BYTES = 512 * 1024
+const RESOURCE_FETCH_TIMEOUT_MS = 10000
+const CERTIFICATE_EXPIRY_WARNING_DAYS = 30
+
+// id-kp-BrandIndicatorforMessageIdentification
+const BIMI_EKU_OID = '1.3.6.1.5.5.7.3.31'
+
+// Subject attributes used by Mark Certificates
+const SUBJECT_OIDS = {
+  '1.3.6.1.4.1.53087.1.2': 'trademarkOfficeName',
+  '1.3.6.1.4.1.53087.1.3': 'trademarkCountryOrRegionName',
+  '1.3.6.1.4.1.53087.1.4': 'trademarkRegistration',
+  '1.3.6.1.4.1.53087.1.5': 'legalEntityIdentifier',
+  '1.3.6.1.4.1.53087.1.6': 'wordMark',
+  '1.3.6.1.4.1.53087.1.13': 'markType',
+  CN: 'commonName',
+  O: 'organizationName',
+  OU: 'organizationalUnitName',
+  L: 'localityName',
+  ST: 'stateOrProvinceName',
+  C: 'countryName'
+}
+
+// Mark types issued as Common Mark Certificates; everything else is a VMC
+const CMC_MARK_TYPES = ['Prior Use Mark', 'Modified Registered Mark']
+
+// Fetch a logo or certificate over HTTPS; redirects are refused so a validated https:// URL can't be bounced elsewhere
+export async function defaultBIMIFetcher(url) {
+  const response = await fetch(url, {
+    redirect: 'error',
+    signal: AbortSignal.timeout(RESOURCE_FETCH_TIMEOUT_MS)
+  })
+
+  return {
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+    body: await readLimitedBody(response, MAX_RESOURCE_BYTES)
+  }
+}
+
+// BIMI Analysis
+// options.selector picks <selector>._bimi.<domain> (default "default")
+// options.fetcher(url) => { status, contentType, body } replaces the HTTPS logo and certificate fetch
+export async function analyzeBIMI(domain, options = {}) {
+  const selector = (options.selector || 'default').toLowerCase()
+
+  try {
+    const fetcher = options.fetcher || defaultBIMIFetcher
+    const warnings = []
+    const recommendations = []
+    const details = []
+    let value = 0
+
+    const [record, dmarcResult] = await Promise.all([
+      lookupBIMIRecord(domain, selector),
+      analyzeDMARC(domain)
+    ])
+
+    const dmarc = checkDMARCPrerequisite(dmarcResult)
+    if (dmarc.eligible) {
+      value += 1
+      details.push(`DMARC policy ${dmarc.policy} at pct=100 (+1 point)`)
+    } else {
+      dmarc.reasons.forEach(reason => warnings.push(`DMARC: ${reason}`))
+      recommendations.push('BIMI logos are only shown when DMARC is enforced: publish p=quarantine or p=reject with pct=100 (and no sp=none)')
+    }
+
+    let logo = null
+    let certificate = null
+
+    if (!record.found) {
+      warnings.push(record.error || `No BIMI record found at ${record.name}`)
+      recommendations.push(`Publish "v=BIMI1; l=https://<host>/logo.svg; a=https://<host>/vmc.pem" at ${selector}._bimi.${domain}`)
+    } else {
+      record.errors.forEach(error => warnings.push(`BIMI record: ${error}`))
+      record.warnings.forEach(warning => warnings.push(`BIMI record: ${warning}`))
+
+      if (record.declined) {
+        warnings.push(`${record.name} declines to publish a logo (empty l=)`)
+      } else if (record.valid) {
+        value += 1
+        details.push('Valid BIMI record (+1 point)')
+      }
+
+      // URLs the parser rejected (not https://) are reported above and never fetched
+      if (record.location && isHTTPSURL(record.location)) {
+        logo = await fetchLogo(record.location, fetcher)
+        logo.errors.forEach(error => warnings.push(`Logo: ${error}`))
+        logo.warnings.forEach(warning => warnings.push(`Logo: ${warning}`))
+        if (logo.valid) {
+          value += 0.5
+          details.push('Logo is valid SVG Tiny PS (+0.5 points)')
+        } else if (logo.fetched) {
+          recommendations.push('Export the logo as SVG Tiny PS (version="1.2" baseProfile="tiny-ps" with a <title>, no scripts, animation or external references)')
+        }
+      }
+
+      if (record.authority && isHTTPSURL(record.authority)) {
+        certificate = await fetchCertificate(record.authority, fetcher, domain, record.policyDomain)
+        certificate.errors.forEach(error => warnings.push(`Certificate: ${error}`))
+        certificate.warnings.forEach(warning => warnings.push(`Certificate: ${warning}`))
+        if (certificate.valid) {
+          value += 0.5
+          details.push(`Valid ${certificate.type} (+0.5 points)`)
+        }
+
+        if (logo?.sha256 && certificate.logo?.sha256 && logo.sha256 !== certificate.logo.sha256) {
+          warnings.push('The l= logo differs from the logo embedded in the certificate; mailbox providers display the certificate logo')
+        }
+      } else if (record.valid && !record.declined) {
+        recommendations.push('Obtain a Verified Mark Certificate (VMC) or Common Mark Certificate (CMC) and publish it in a= – Gmail and Apple Mail only show logos backed by one')
+      }
+    }
+
+    const finalScore = Math.max(Math.min(value, 3), 0)
+    let securityLevel = 'Poor'
+    if (finalScore >= 2.5) securityLevel = 'Excellent'
+    else if (finalScore >= 2) securityLevel = 'Good'
+    else if (finalScore >= 1) securityLevel = 'Fair'
+
+    return {
+      success: true,
+      domain,
+      selector,
+      record,
+      dmarc,
+      logo,
+      certificate,
+      dnssec: await dnssecSummary([{ name: record.name, type: 'TXT' }]),
+      warnings,
+      recommendations,
+      score: {
+        value: Math.round(finalScore * 10) / 10,
+        outOf: 3,
+        level: securityLevel,
+        details
+      }
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain,
+      selector
+    }
+  }
+}
+
+// Parse a VMC/CMC PEM bundle: leaf subject, validity, logotype and chain trust
+export async function parseBIMICertificate(pem, options = {}) {
+  const now = options.now || new Date()
+  const blocks = String(pem).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+
+  if (!blocks) {
+    throw new Error('No PEM certificate found')
+  }
+
+  const leaf = new X509Certificate(blocks[0])
+  const subject = parseDistinguishedName(leaf.subject)
+  const validTo = new Date(leaf.validTo)
+  const markType = subject.markType || null
+
+  const result = {
+    type: CMC_MARK_TYPES.includes(markType) ? 'CMC' : 'VMC',
+    markType,
+    subject,
+    issuer: parseDistinguishedName(leaf.issuer),
+    subjectAltName: (leaf.subjectAltName || '')
+      .split(/,\s*/)
+      .filter(name => name.startsWith('DNS:'))
+      .map(name => name.slice(4).toLowerCase()),
+    serialNumber: leaf.serialNumber,
+    fingerprint256: leaf.fingerprint256,
+    validFrom: new Date(leaf.validFrom).toISOString(),
+    validTo: validTo.toISOString(),
+    expired: validTo < now,
+    daysRemaining: Math.floor((validTo - now) / 86400000),
+    bimiUsage: [].concat(leaf.keyUsage || []).includes(BIMI_EKU_OID),
+    chainLength: blocks.length,
+    trusted: false,
+    logo: null
+  }
+
+  try {
+    const logotype = await parseVMC(leaf.raw)
+    const svg = logotype.logoFile || null
+    result.logo = {
+      mediaType: logotype.mediaType || null,
+      hashAlgorithm: logotype.hashAlgo || null,
+      hashValid: Boolean(logotype.validHash),
+      sha256: svg ? createHash('sha256').update(svg).digest('hex') : null,
+      svg: svg ? validateTinyPSLogo(svg) : null
+    }
+  } catch (error) {
+    result.logoError = error.message
+  }
+
+  try {
+    await vmc(blocks.join('\n'), { now })
+    result.trusted = true
+  } catch (error) {
+    result.trustError = error.message
+  }
+
+  return result
+}
+
+async function lookupBIMIRecord(domain, selector) {
+  const organizationalDomain = getDomain(domain) || domain
+  const candidates = organizationalDomain === domain ? [domain] : [domain, organizationalDomain]
+
+  for (const candidate of candidates) {
+    const name = `${selector}._bimi.${candidate}`
+    const records = (await lookupTXT(name)).filter(txt => /^v=BIMI1(;|\s|$)/i.test(txt))
+
+    if (records.length > 1) {
+      return { name, found: true, valid: false, records, errors: ['Multiple BIMI records published; receivers treat this as no record'], warnings: [] }
+    }
+
+    if (records.length === 1) {
+      return {
+        name,
+        found: true,
+        raw: records[0],
+        policyDomain: candidate,
+        inherited: candidate !== domain,
+        ...parseBIMIRecord(records[0])
+      }
+    }
+  }
+
+  return { name: `${selector}._bimi.${domain}`, found: false, valid: false, errors: [], warnings: [] }
+}
+
+// BIMI requires an enforcing DMARC policy covering all mail
+function checkDMARCPrerequisite(dmarcResult) {
+  if (!dmarcResult.success) {
+    return { eligible: false, policy: null, pct: null, reasons: [dmarcResult.error || 'No DMARC record found'] }
+  }
+
+  const parsed = dmarcResult.parsed || {}
+  const policy = dmarcResult.effectivePolicy?.policy || parsed.p || null
+  const pct = parsed.pct === undefined ? 100 : Number(parsed.pct)
+  const reasons = []
+
+  if (!['quarantine', 'reject'].includes(policy)) {
+    reasons.push(`policy is "${policy || 'none'}" but BIMI requires quarantine or reject`)
+  }
+  if (pct !== 100) {
+    reasons.push(`pct=${parsed.pct} but BIMI requires the policy to apply to 100% of mail`)
+  }
+  if (parsed.sp === 'none') {
+    reasons.push('sp=none disables enforcement for subdomains, which disqualifies BIMI')
+  }
+  if (parsed.t === 'y') {
+    reasons.push('t=y marks the policy as testing, which disqualifies BIMI')
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    policy,
+    pct,
+    policyDomain: dmarcResult.policyDomain,
+    reasons
+  }
+}
+
+async function fetchResource(url, fetcher) {
+  const result = { url, fetched: false, errors: [], warnings: [] }
+
+  let response
+  try {
+    response = await fetcher(url)
+  } catch (error) {
+    result.errors.push(`Could not fetch ${url}: ${error.cause?.message || error.message}`)
+    return { result }
+  }
+
+  result.status = response.status
+  result.contentType = response.contentType || null
+  if (response.status !== 200) {
+    result.errors.push(`${url} returned HTTP ${response.status}`)
+    return { result }
+  }
+
+  const body = Buffer.isBuffer(response.body) ? response.body : Buffer.from(String(response.body))
+  if (body.length > MAX_RESOURCE_BYTES) {
+    result.errors.push(`${url} is larger than ${MAX_RESOURCE_BYTES} bytes`)
+    return { result }
+  }
+
+  result.fetched = true
+  return { result, body }
+}
+
+async function fetchLogo(url, fetcher) {
+  const { result, body } = await fetchResource(url, fetcher)
+  if (!body) return { ...result, valid: false }
+
+  if (!/^image\/svg\+xml\b/i.test(result.contentType || '')) {
+    result.warnings.push(`Logo is served as "${result.contentType || 'no content type'}" instead of image/svg+xml`)
+  }
+
+  const svg = validateTinyPSLogo(body)
+  return {
+    ...result,
+    ...svg,
+    errors: [...result.errors, ...svg.errors],
+    warnings: [...result.warnings, ...svg.warnings],
+    sha256: createHash('sha256').update(body).digest('hex')
+  }
+}
+
+async function fetchCertificate(url, fetcher, domain, policyDomain) {
+  const { result, body } = await fetchResource(url, fetcher)
+  if (!body) return { ...result, valid: false }
+
+  let parsed
+  try {
+    parsed = await parseBIMICertificate(body.toString('utf8'))
+  } catch (error) {
+    result.errors.push(`Could not parse certificate: ${error.message}`)
+    return { ...result, valid: false }
+  }
+
+  const { errors, warnings } = result
+  if (parsed.expired) {
+    errors.push(`Expired on ${parsed.validTo}`)
+  } else if (parsed.daysRemaining < CERTIFICATE_EXPIRY_WARNING_DAYS) {
+    warnings.push(`Expires in ${parsed.daysRemaining} days (${parsed.validTo})`)
+  }
+  if (!parsed.bimiUsage) {
+    errors.push('Missing the BIMI extended key usage (1.3.6.1.5.5.7.3.31)')
+  }
+  if (!parsed.trusted && !parsed.expired) {
+    errors.push(`Not trusted: ${parsed.trustError}`)
+  }
+  if (parsed.logoError) {
+    errors.push(parsed.logoError)
+  } else if (parsed.logo) {
+    if (!parsed.logo.hashValid) {
+      errors.push('Embedded logo does not match its logotype hash')
+    }
+    parsed.logo.svg?.errors.forEach(error => errors.push(`Embedded logo: ${error}`))
+  }
+
+  const names = [domain, policyDomain].filter(Boolean)
+  if (!parsed.subjectAltName.some(name => names.includes(name))) {
+    errors.push(`Subject alternative names (${parsed.subjectAltName.join(', ') || 'none'}) do not include ${names.join(' or ')}`)
+  }
+
+  return { ...result, ...parsed, errors, warnings, valid: errors.length === 0 }
+}
+
+// X509Certificate prints one RDN per line, unknown attributes by OID
+function parseDistinguishedName(text) {
+  const fields = {}
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const separator = line.indexOf('=')
+    if (separator === -1) continue
+    const key = line.slice(0, separator)
+    fields[SUBJECT_OIDS[key] || key] = line.slice(separator + 1).replace(/\\,/g, ',')
+  }
+  return fields
+}
+
+async function lookupTXT(name) {
+  try {
+    const records = await resolver.resolveTxt(name)
+    return records.map(parts => parts.join(''))
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return []
+    throw error
+  }
+}
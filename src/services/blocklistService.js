@@ -0,0 +1,192 @@
+// src/services/blocklistService.js
+import { getDomain } from 'tldts'
+import { fetchSPFRecords } from './spfService.js'
+import { parseSPFRecord } from '../utils/spfParser.js'
+import { parseCIDR, reverseAddress } from '../utils/cidr.js'
+import { dnssecSummary } from '../utils/dnssec.js'
+import { resolver } from '../utils/dnsResolver.js'
+
+// IP-based lists queried as <reversed address>.<zone>
+export const DEFAULT_IP_BLOCKLISTS = [
+  { zone: 'zen.spamhaus.org', name: 'Spamhaus ZEN', ipv6: true },
+  { zone: 'bl.spamcop.net', name: 'SpamCop' },
+  { zone: 'b.barracudacentral.org', name: 'Barracuda' },
+  { zone: 'bl.mailspike.net', name: 'Mailspike' },
+  { zone: 'psbl.surriel.com', name: 'PSBL' }
+]
+
+// Domain-based lists queried as <domain>.<zone>
+// refused: answers meaning the list refused the query rather than listing the name
+export const DEFAULT_DOMAIN_BLOCKLISTS = [
+  { zone: 'dbl.spamhaus.org', name: 'Spamhaus DBL' },
+  { zone: 'multi.uribl.com', name: 'URIBL', refused: ['127.0.0.1'] },
+  { zone: 'multi.surbl.org', name: 'SURBL' }
+]
+
+// Limits the number of queries for domains with many MX hosts or SPF addresses
+const MAX_CHECKED_ADDRESSES = 20
+// Custom zone lists are cut to this many entries each
+export const MAX_BLOCKLIST_ZONES = 20
+
+// Blocklist Analysis
+// options.ipZones / options.domainZones: zone names or { zone, name, ipv6, refused } replacing the defaults
+export async function analyzeBlocklists(domain, options = {}) {
+  try {
+    const ipLists = normalizeZones(options.ipZones, DEFAULT_IP_BLOCKLISTS)
+    const domainLists = normalizeZones(options.domainZones, DEFAULT_DOMAIN_BLOCKLISTS)
+    const warnings = []
+    const recommendations = []
+    const details = []
+    let value = 0
+
+    const names = [...new Set([domain, getDomain(domain) || domain])]
+    const { addresses, skipped } = await collectAddresses(domain)
+    const checkedAddresses = addresses.slice(0, MAX_CHECKED_ADDRESSES)
+
+    if (addresses.length > MAX_CHECKED_ADDRESSES) {
+      warnings.push(`Only the first ${MAX_CHECKED_ADDRESSES} of ${addresses.length} addresses were checked`)
+    }
+
+    const [domainResults, ipResults, dnssec] = await Promise.all([
+      Promise.all(names.map(async name => ({
+        name,
+        results: await Promise.all(domainLists.map(list => queryList(list, `${name}.${list.zone}`)))
+      }))),
+      Promise.all(checkedAddresses.map(async entry => ({
+        ...entry,
+        results: await Promise.all(ipLists
+          .filter(list => entry.version === 4 || list.ipv6)
+          .map(list => queryList(list, `${reverseAddress(entry.address)}.${list.zone}`)))
+      }))),
+      dnssecSummary([{ name: domain, type: 'MX' }, { name: domain, type: 'TXT' }])
+    ])
+
+    const domains = domainResults.map(entry => ({ ...entry, listed: entry.results.some(result => result.listed) }))
+    const ips = ipResults.map(entry => ({ ...entry, listed: entry.results.some(result => result.listed) }))
+
+    const domainListings = domains.flatMap(entry => entry.results.filter(result => result.listed).map(result => ({ ...result, target: entry.name })))
+    const ipListings = ips.flatMap(entry => entry.results.filter(result => result.listed).map(result => ({ ...result, target: entry.address })))
+    const failures = [...domains, ...ips].flatMap(entry => entry.results.filter(result => result.error))
+
+    if (domainListings.length === 0) {
+      value += 1
+      details.push('Domain not listed on any domain blocklist (+1 point)')
+    }
+    domainListings.forEach(listing => warnings.push(`${listing.target} is listed on ${listing.list}${listing.reasons.length ? `: ${listing.reasons.join(' ')}` : ''}`))
+
+    if (ipListings.length === 0) {
+      value += 1
+      details.push(ips.length ? 'No mail server IP listed on any DNSBL (+1 point)' : 'No mail server IPs to check (+1 point)')
+    }
+    ipListings.forEach(listing => warnings.push(`${listing.target} is listed on ${listing.list}${listing.reasons.length ? `: ${listing.reasons.join(' ')}` : ''}`))
+
+    if (domainListings.length || ipListings.length) {
+      recommendations.push('Find and stop the source of the abuse (compromised accounts, open relays, purchased lists), then request delisting from each list')
+    }
+
+    for (const list of new Set(failures.map(failure => failure.list))) {
+      const failure = failures.find(entry => entry.list === list)
+      warnings.push(`${list} could not be checked: ${failure.error}`)
+    }
+
+    if (skipped.length) {
+      warnings.push(`SPF ranges were not checked address by address: ${skipped.join(', ')}`)
+    }
+
+    return {
+      success: true,
+      domain,
+      domains,
+      ips,
+      skipped,
+      dnssec,
+      listed: domainListings.length > 0 || ipListings.length > 0,
+      warnings,
+      recommendations,
+      score: {
+        value,
+        outOf: 2,
+        level: value === 2 ? 'Excellent' : value === 1 ? 'Fair' : 'Poor',
+        details
+      }
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain
+    }
+  }
+}
+
+// MX host addresses plus single-address ip4:/ip6: terms in the domain's own SPF record
+async function collectAddresses(domain) {
+  const sources = new Map()
+  const skipped = []
+  const add = (address, source) => {
+    if (!sources.has(address)) sources.set(address, [])
+    sources.get(address).push(source)
+  }
+
+  const mxRecords = await resolver.resolveMx(domain).catch(() => [])
+  await Promise.all(mxRecords
+    .filter(record => record.exchange && record.exchange !== '.')
+    .map(async record => {
+      const [ipv4, ipv6] = await Promise.all([
+        resolver.resolve4(record.exchange).catch(() => []),
+        resolver.resolve6(record.exchange).catch(() => [])
+      ])
+      ;[...ipv4, ...ipv6].forEach(address => add(address, `mx:${record.exchange}`))
+    }))
+
+  const spf = await fetchSPFRecords(domain)
+  if (spf.records.length === 1) {
+    for (const term of parseSPFRecord(spf.records[0]).terms) {
+      if (!['ip4', 'ip6'].includes(term.name) || term.errors.length) continue
+      const network = parseCIDR(term.value)
+      if (!network) continue
+      if (network.prefix === (network.version === 4 ? 32 : 128)) {
+        add(term.value.split('/')[0], `spf:${term.raw}`)
+      } else {
+        skipped.push(term.value)
+      }
+    }
+  }
+
+  const addresses = [...sources].map(([address, from]) => ({
+    address,
+    version: address.includes(':') ? 6 : 4,
+    sources: from
+  }))
+  return { addresses, skipped }
+}
+
+async function queryList(list, query) {
+  const result = { list: list.name, zone: list.zone, query, listed: false, codes: [], reasons: [] }
+
+  try {
+    result.codes = await resolver.resolve4(query)
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return result
+    return { ...result, listed: null, error: error.code || error.message }
+  }
+
+  // 127.255.255.x is how Spamhaus and others reject queries from public resolvers
+  const refused = result.codes.filter(code => /^127\.255\.255\./.test(code) || list.refused?.includes(code))
+  if (refused.length === result.codes.length) {
+    return { ...result, listed: null, error: `query refused (${refused.join(', ')}); use a resolver the list accepts` }
+  }
+
+  result.listed = true
+  result.reasons = await resolver.resolveTxt(query)
+    .then(records => records.map(parts => parts.join('')))
+    .catch(() => [])
+  return result
+}
+
+function normalizeZones(zones, defaults) {
+  if (!Array.isArray(zones) || zones.length === 0) return defaults
+  return zones.slice(0, MAX_BLOCKLIST_ZONES).map(zone => typeof zone === 'string'
+    ? { zone: zone.toLowerCase(), name: zone.toLowerCase(), ipv6: false }
+    : { ...zone, zone: zone.zone.toLowerCase(), name: zone.name || zone.zone })
+}
@@ -0,0 +1,130 @@
+// src/services/bulkService.js
+import { analyzeEmailSecurity } from './emailSecurityService.js'
+
+export const MAX_BULK_DOMAINS = 1000
+export const MAX_BULK_CONCURRENCY = 20
+const DEFAULT_CONCURRENCY = 5
+const TOP_ISSUES = 10
+
+const SECTIONS = [
+  ['dmarc', 'DMARC'],
+  ['spf', 'SPF'],
+  ['dkim', 'DKIM'],
+  ['mx', 'MX'],
+  ['mtaSts', 'MTA-STS'],
+  ['blocklists', 'Blocklists']
+]
+
+// Bulk Email Security Analysis
+// Runs analyzeEmailSecurity for every domain, at most options.concurrency at a time
+// options.onResult(entry) is called as each domain finishes (in completion order); options.signal stops new work
+// options.dkimSelector / options.blocklists are passed to every analysis
+export async function analyzeBulk(domains, options = {}) {
+  const concurrency = Math.min(Math.max(Math.floor(Number(options.concurrency) || DEFAULT_CONCURRENCY), 1), MAX_BULK_CONCURRENCY)
+  const started = Date.now()
+  const entries = []
+  let next = 0
+
+  const worker = async () => {
+    while (next < domains.length && !options.signal?.aborted) {
+      const index = next++
+      const domain = domains[index]
+      const domainStarted = Date.now()
+      let entry
+
+      try {
+        const result = await analyzeEmailSecurity(domain, options.dkimSelector || null, { blocklists: options.blocklists })
+        entry = { index, domain, success: true, durationMs: Date.now() - domainStarted, result }
+      } catch (error) {
+        entry = { index, domain, success: false, durationMs: Date.now() - domainStarted, error: error.message }
+      }
+
+      entries.push(entry)
+      await options.onResult?.(entry)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, domains.length) }, worker))
+
+  return {
+    ...summarizeBulk(entries, domains.length),
+    aborted: Boolean(options.signal?.aborted) && entries.length < domains.length,
+    concurrency,
+    durationMs: Date.now() - started
+  }
+}
+
+// Score distribution and the most frequent problems across finished analyses
+export function summarizeBulk(entries, total = entries.length) {
+  const analyzed = entries.filter(entry => entry.success)
+  const scores = analyzed.map(entry => entry.result.overallScore.value).sort((a, b) => a - b)
+  const levels = { Excellent: 0, Good: 0, Fair: 0, Poor: 0 }
+  const histogram = Array.from({ length: 10 }, (_, bucket) => ({ range: `${bucket}-${bucket + 1}`, count: 0 }))
+  const failures = new Map()
+  const warnings = new Map()
+
+  for (const entry of analyzed) {
+    const { result } = entry
+    levels[result.overallScore.level] = (levels[result.overallScore.level] || 0) + 1
+    histogram[Math.min(Math.floor(result.overallScore.value), 9)].count++
+
+    for (const [key, label] of SECTIONS) {
+      const section = result[key]
+      if (!section) continue
+      if (!section.success) {
+        count(failures, `${label}: ${describeFailure(section, entry.domain)}`, entry.domain)
+      } else {
+        (section.warnings || []).forEach(warning => count(warnings, `${label}: ${generalize(warning, entry.domain)}`, entry.domain))
+      }
+    }
+  }
+
+  return {
+    total,
+    completed: entries.length,
+    analyzed: analyzed.length,
+    errors: entries.filter(entry => !entry.success).map(entry => ({ domain: entry.domain, error: entry.error })),
+    scores: {
+      average: scores.length ? Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length * 10) / 10 : null,
+      median: scores.length ? median(scores) : null,
+      min: scores.length ? scores[0] : null,
+      max: scores.length ? scores[scores.length - 1] : null,
+      levels,
+      histogram
+    },
+    commonFailures: rank(failures),
+    commonWarnings: rank(warnings)
+  }
+}
+
+// DNS failures are grouped by status; other messages have the domain replaced so they group across domains
+function describeFailure(section, domain) {
+  if (section.dnsStatus && !['NXDOMAIN', 'NODATA'].includes(section.dnsStatus)) {
+    return `DNS lookup failed (${section.dnsStatus})`
+  }
+  if (section.dnsStatus) {
+    return `no records found (${section.dnsStatus})`
+  }
+  return generalize(section.error || 'analysis failed', domain)
+}
+
+function generalize(message, domain) {
+  return String(message).split(domain).join('<domain>')
+}
+
+function count(map, issue, domain) {
+  if (!map.has(issue)) map.set(issue, new Set())
+  map.get(issue).add(domain)
+}
+
+function rank(map) {
+  return [...map]
+    .map(([issue, domains]) => ({ issue, count: domains.size, domains: [...domains].slice(0, 5) }))
+    .sort((a, b) => b.count - a.count || a.issue.localeCompare(b.issue))
+    .slice(0, TOP_ISSUES)
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2 * 10) / 10
+}
@@ -0,0 +1,241 @@
+// src/services/daneService.js
+import { X509Certificate, createHash } from 'crypto'
+import { analyzeMX, probeAddresses } from './mxService.js'
+import { probeSMTP } from './smtpProbeService.js'
+import { lookup } from '../utils/dnsResolver.js'
+
+// RFC 6698 §2.1 field values
+const USAGES = { 0: 'PKIX-TA', 1: 'PKIX-EE', 2: 'DANE-TA', 3: 'DANE-EE' }
+const SELECTORS = { 0: 'Cert', 1: 'SPKI' }
+const MATCHING_TYPES = { 0: 'Full', 1: 'SHA2-256', 2: 'SHA2-512' }
+const DIGEST_LENGTHS = { 1: 32, 2: 64 }
+
+// DANE for SMTP Analysis (RFC 7672)
+// options.certificates: PEM chain for every host, or { [mxHost]: pem } – otherwise the chain is fetched over STARTTLS
+// options.probe === false skips STARTTLS; other options (target, timeout) are passed to probeSMTP
+// Like deep MX analysis, probes only reach the public addresses analyzeMX resolved; other hosts stay unverified
+export async function analyzeDANE(domain, options = {}) {
+  try {
+    const mx = await analyzeMX(domain)
+
+    if (!mx.success) {
+      return {
+        success: false,
+        error: mx.error,
+        domain
+      }
+    }
+
+    const hosts = await Promise.all((mx.hosts || []).map(host => checkHost(host, options)))
+
+    const warnings = []
+    const recommendations = []
+    const details = []
+    let value = 0
+
+    if (mx.nullMx) {
+      warnings.push('Domain publishes a null MX; there are no mail servers to protect with DANE')
+    }
+
+    if (mx.dnssec?.status !== 'secure' && hosts.some(host => host.records.length)) {
+      warnings.push(`MX records are DNSSEC ${mx.dnssec?.status || 'indeterminate'}; senders only use DANE when the MX lookup is also secure`)
+    }
+
+    hosts.forEach(host => host.warnings.forEach(warning => warnings.push(`${host.host}: ${warning}`)))
+
+    const verified = hosts.filter(host => host.status === 'verified')
+    if (hosts.length && verified.length === hosts.length) {
+      value += 2
+      details.push('Every MX host presents a certificate matching its TLSA records (+2 points)')
+    } else if (verified.length) {
+      value += 1
+      details.push('Some MX hosts present a certificate matching their TLSA records (+1 point)')
+    }
+
+    const withoutTLSA = hosts.filter(host => host.status === 'none')
+    if (withoutTLSA.length) {
+      recommendations.push(`Publish "3 1 1" TLSA records at ${withoutTLSA.map(host => host.tlsaName).join(', ')} in a DNSSEC-signed zone`)
+    }
+    if (hosts.some(host => host.status === 'mismatch')) {
+      recommendations.push('Make the TLSA records match the certificates the servers present, and publish the new TLSA record before each certificate rotation – senders that enforce DANE defer mail to mismatching hosts')
+    }
+
+    return {
+      success: true,
+      domain,
+      mxDnssec: mx.dnssec?.status || null,
+      hosts,
+      enabled: hosts.some(host => host.records.length && host.dnssec === 'secure'),
+      warnings,
+      recommendations,
+      score: {
+        value,
+        outOf: 2,
+        level: value === 2 ? 'Excellent' : value === 1 ? 'Fair' : 'Poor',
+        details
+      }
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain
+    }
+  }
+}
+
+// Check presented certificates against TLSA records; chain[0] is the server certificate
+export function matchTLSA(records, chain, hostname) {
+  const leaf = chain[0]
+
+  for (const record of records.filter(entry => entry.usable)) {
+    if (record.usage === 3) {
+      if (leaf && certificateMatches(record, leaf)) {
+        return { matched: true, record, certificate: 0 }
+      }
+      continue
+    }
+
+    // DANE-TA: an issuer in the presented chain must match, the leaf must chain to it and name the host
+    for (let index = 1; index < chain.length; index++) {
+      if (!certificateMatches(record, chain[index])) continue
+      if (!chainsTo(chain, index)) {
+        return { matched: false, record, certificate: index, error: 'Server certificate does not chain to the matching trust anchor' }
+      }
+      if (hostname && !leaf.checkHost(hostname)) {
+        return { matched: false, record, certificate: index, error: `Server certificate does not name ${hostname}` }
+      }
+      return { matched: true, record, certificate: index }
+    }
+  }
+
+  return { matched: false, record: null, certificate: null }
+}
+
+async function checkHost(exchange, options) {
+  const host = exchange.exchange
+  const tlsaName = `_25._tcp.${host}`
+  const result = { host, tlsaName, records: [], dnssec: null, status: 'none', match: null, certificateSource: null, warnings: [] }
+
+  const response = await lookup(tlsaName, 'TLSA', { dnssec: true })
+
+  if (!['NOERROR', 'NXDOMAIN', 'NODATA'].includes(response.status)) {
+    const failure = response.dnssec === 'bogus' ? 'a DNSSEC validation failure' : response.status
+    result.warnings.push(`TLSA lookup failed with ${failure}; senders that enforce DANE will defer mail`)
+    return { ...result, dnssec: response.dnssec, status: 'error', error: response.error || response.status }
+  }
+
+  result.dnssec = response.dnssec
+  result.records = response.records.map(parseTLSA)
+  if (result.records.length === 0) return result
+
+  result.records.forEach(record => record.errors.forEach(error => result.warnings.push(`TLSA ${record.text}: ${error}`)))
+
+  if (result.dnssec !== 'secure') {
+    result.warnings.push('TLSA records are not DNSSEC-authenticated, so senders ignore them')
+    result.status = 'insecure'
+    return result
+  }
+
+  if (!result.records.some(record => record.usable)) {
+    result.warnings.push('No usable TLSA records (SMTP supports only DANE-TA(2) and DANE-EE(3)); senders fall back to unauthenticated TLS')
+    result.status = 'unusable'
+    return result
+  }
+
+  const supplied = typeof options.certificates === 'string' ? options.certificates : options.certificates?.[host]
+  const addresses = probeAddresses(exchange)
+  let chain = null
+
+  try {
+    if (supplied) {
+      chain = parseChain(supplied)
+      result.certificateSource = 'supplied'
+    } else if (options.probe !== false && !options.target && addresses.length === 0) {
+      result.probeError = exchange.resolves
+        ? 'Not probed because the host only resolves to private or reserved addresses'
+        : 'Not probed because the host does not resolve'
+    } else if (options.probe !== false) {
+      const probe = await probeSMTP(host, { ...options, addresses, includeCertificates: true })
+      if (probe.tls?.certificates?.length) {
+        chain = parseChain(probe.tls.certificates.join('\n'))
+        result.certificateSource = 'starttls'
+      } else {
+        result.probeError = probe.error || (probe.starttls ? 'No certificate presented' : 'STARTTLS is not offered')
+      }
+    }
+  } catch (error) {
+    result.probeError = `Could not parse certificate chain: ${error.message}`
+  }
+
+  if (!chain) {
+    result.status = 'unverified'
+    if (result.probeError) result.warnings.push(`Certificate not checked: ${result.probeError}`)
+    return result
+  }
+
+  result.match = matchTLSA(result.records, chain, host)
+  result.status = result.match.matched ? 'verified' : 'mismatch'
+  if (!result.match.matched) {
+    result.warnings.push(result.match.error || 'Presented certificate chain matches none of the TLSA records')
+  }
+
+  return result
+}
+
+// TLSA RDATA: usage, selector, matching type, certificate association data (hex)
+function parseTLSA(value) {
+  const record = {
+    usage: value.usage,
+    selector: value.selector,
+    matchingType: value.matchingType,
+    data: String(value.data).toLowerCase(),
+    errors: []
+  }
+  record.text = `${record.usage} ${record.selector} ${record.matchingType} ${record.data.length > 16 ? `${record.data.slice(0, 16)}…` : record.data}`
+  record.description = `${USAGES[record.usage] || 'unknown'} ${SELECTORS[record.selector] || 'unknown'} ${MATCHING_TYPES[record.matchingType] || 'unknown'}`
+
+  if (!USAGES[record.usage]) {
+    record.errors.push(`Unknown certificate usage ${record.usage}`)
+  } else if (record.usage < 2) {
+    record.errors.push(`${USAGES[record.usage]} is not used for SMTP (RFC 7672 §3.1.3)`)
+  }
+  if (!SELECTORS[record.selector]) {
+    record.errors.push(`Unknown selector ${record.selector}`)
+  }
+  if (!MATCHING_TYPES[record.matchingType]) {
+    record.errors.push(`Unknown matching type ${record.matchingType}`)
+  } else if (DIGEST_LENGTHS[record.matchingType] && record.data.length / 2 !== DIGEST_LENGTHS[record.matchingType]) {
+    record.errors.push(`${MATCHING_TYPES[record.matchingType]} data must be ${DIGEST_LENGTHS[record.matchingType]} bytes, found ${record.data.length / 2}`)
+  }
+
+  record.usable = record.errors.length === 0
+  return record
+}
+
+function certificateMatches(record, certificate) {
+  const content = record.selector === 0
+    ? certificate.raw
+    : certificate.publicKey.export({ type: 'spki', format: 'der' })
+  const digest = record.matchingType === 0
+    ? content
+    : createHash(record.matchingType === 1 ? 'sha256' : 'sha512').update(content).digest()
+  return digest.toString('hex') === record.data
+}
+
+function chainsTo(chain, anchor) {
+  for (let index = 0; index < anchor; index++) {
+    if (!chain[index].checkIssued(chain[index + 1]) || !chain[index].verify(chain[index + 1].publicKey)) {
+      return false
+    }
+  }
+  return true
+}
+
+function parseChain(pem) {
+  const blocks = String(pem).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+  if (!blocks) {
+    throw new Error('No PEM certificate found')
+  }
+  return blocks.map(block => new X509Certificate(block))
+}
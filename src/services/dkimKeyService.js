@@ -0,0 +1,145 @@
+// src/services/dkimKeyService.js
+import { generateKeyPair } from 'crypto'
+import { promisify } from 'util'
+import { analyzeDKIM } from './dkimService.js'
+import { generateRecord } from './recordGeneratorService.js'
+import { parseDKIMRecord, encodePublicKey, publicKeyToSPKI } from '../utils/dkimParser.js'
+
+const generateKeyPairAsync = promisify(generateKeyPair)
+
+export const DKIM_KEY_TYPES = ['rsa', 'ed25519']
+export const RSA_KEY_SIZES = [1024, 2048, 4096]
+
+// DKIM Key Pair Generation
+// Keys are generated in memory and never stored; the caller keeps the private key
+export async function generateDKIMKeyPair(domain, options = {}) {
+  try {
+    const keyType = (options.keyType || 'rsa').toLowerCase()
+    const keySize = Number(options.keySize || 2048)
+    const selector = options.selector || defaultSelector()
+
+    if (!DKIM_KEY_TYPES.includes(keyType)) {
+      throw new Error(`keyType must be one of: ${DKIM_KEY_TYPES.join(', ')}`)
+    }
+
+    if (keyType === 'rsa' && !RSA_KEY_SIZES.includes(keySize)) {
+      throw new Error(`keySize must be one of: ${RSA_KEY_SIZES.join(', ')}`)
+    }
+
+    const { publicKey, privateKey } = keyType === 'rsa'
+      ? await generateKeyPairAsync('rsa', { modulusLength: keySize })
+      : await generateKeyPairAsync('ed25519')
+
+    const publicKeyPem = publicKey.export({ format: 'pem', type: 'spki' })
+    const generated = await generateRecord('dkim', {
+      domain,
+      selector,
+      publicKey: publicKeyPem,
+      testing: options.testing
+    })
+
+    if (!generated.success) {
+      throw new Error(generated.error)
+    }
+
+    const recommendations = [
+      `Publish the TXT record at ${generated.record.name}, then configure your mail server to sign with selector "${generated.selector}"`,
+      'Store the private key securely – it is not kept by this service and cannot be retrieved again'
+    ]
+
+    return {
+      success: true,
+      domain,
+      selector: generated.selector,
+      keyType,
+      keyBits: generated.keyBits,
+      privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+      publicKey: publicKeyPem,
+      record: generated.record,
+      warnings: generated.warnings,
+      recommendations
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain
+    }
+  }
+}
+
+// DKIM Key Verification: does the published record carry this key?
+export async function verifyDKIMKey(domain, selector, key) {
+  try {
+    const expected = encodePublicKey(key)
+    const published = await analyzeDKIM(domain, selector)
+
+    if (!published.success) {
+      return {
+        success: true,
+        domain,
+        selector,
+        checkedRecord: published.checkedRecord,
+        published: false,
+        matches: false,
+        keyType: expected.type,
+        keyBits: expected.bits,
+        warnings: [published.error],
+        recommendations: ['Publish the generated TXT record and allow time for DNS propagation before verifying again']
+      }
+    }
+
+    const parsed = parseDKIMRecord(published.rawRecord)
+    const warnings = []
+    const recommendations = []
+    let matches = false
+
+    if (parsed.keyType !== expected.type) {
+      warnings.push(`Published record has k=${parsed.keyType} but the key is ${expected.type}`)
+    } else if (parsed.key?.revoked) {
+      warnings.push('Published record is revoked (empty p=)')
+    } else {
+      const publishedDer = publicKeyToSPKI(parsed.tags.p, parsed.keyType)
+      matches = Boolean(publishedDer && publishedDer.equals(expected.der))
+      if (!matches) {
+        warnings.push('Published public key does not match the supplied key')
+      }
+    }
+
+    if (!matches) {
+      recommendations.push(`Replace the record at ${published.checkedRecord} with the one generated for this key`)
+    }
+
+    if (parsed.flags.testing) {
+      warnings.push('Published record is in testing mode (t=y)')
+    }
+
+    return {
+      success: true,
+      domain,
+      selector,
+      checkedRecord: published.checkedRecord,
+      published: true,
+      matches,
+      keyType: expected.type,
+      keyBits: expected.bits,
+      publishedRecord: published.rawRecord,
+      cname: published.cname,
+      warnings,
+      recommendations
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain,
+      selector
+    }
+  }
+}
+
+// Date-based selectors make key rotation easy, e.g. s202410
+function defaultSelector() {
+  const now = new Date()
+  return `s${now.getUTCFullYear()}${String(now.getUTCMonth() + 1).padStart(2, '0')}`
+}
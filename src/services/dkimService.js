@@ -1,20 +1,50 @@
 // src/services/dkimService.js
-import { Resolver } from 'dns/promises'
-import mailauth from 'mailauth'
+import { parseDKIMRecord } from '../utils/dkimParser.js'
+import { dnssecSummary } from '../utils/dnssec.js'
+import { resolver } from '../utils/dnsResolver.js'
 
-// DNS resolver (Google + Cloudflare)
-const resolver = new Resolver()
-resolver.setServers(['8.8.8.8', '1.1.1.1'])
+// Curated selectors used by common sending providers. Providers that issue random
+// per-domain selectors (e.g. Amazon SES Easy DKIM) are recognised by CNAME target only.
+const DKIM_PROVIDERS = [
+  { name: 'Google Workspace', selectors: ['google'], cnamePatterns: [] },
+  { name: 'Microsoft 365', selectors: ['selector1', 'selector2'], cnamePatterns: [/\.onmicrosoft\.com$/i] },
+  { name: 'Mailchimp', selectors: ['k1', 'k2', 'k3'], cnamePatterns: [/\.mcsv\.net$/i] },
+  { name: 'Mandrill', selectors: ['mandrill', 'mte1', 'mte2'], cnamePatterns: [/\.mandrillapp\.com$/i] },
+  { name: 'SendGrid', selectors: ['s1', 's2', 'smtpapi'], cnamePatterns: [/\.sendgrid\.net$/i] },
+  { name: 'Amazon SES', selectors: ['amazonses'], cnamePatterns: [/\.dkim\.amazonses\.com$/i] },
+  { name: 'Mailgun', selectors: ['mailo', 'mg', 'krs', 'pic'], cnamePatterns: [/\.mailgun\.org$/i] },
+  { name: 'Postmark', selectors: ['pm', 'pm-bounces'], cnamePatterns: [/\.mtasv\.net$/i] },
+  { name: 'SparkPost', selectors: ['scph0123', 'scph1023'], cnamePatterns: [/\.sparkpostmail\.com$/i] },
+  { name: 'Mailjet', selectors: ['mailjet'], cnamePatterns: [/\.mailjet\.com$/i] },
+  { name: 'Brevo', selectors: ['brevo1', 'brevo2', 'sib'], cnamePatterns: [/\.brevo\.com$/i, /\.sendinblue\.com$/i] },
+  { name: 'HubSpot', selectors: ['hs1', 'hs2'], cnamePatterns: [/\.hubspotemail\.net$/i] },
+  { name: 'Zoho Mail', selectors: ['zoho', 'zmail'], cnamePatterns: [/\.zoho\.com$/i] },
+  { name: 'Fastmail', selectors: ['fm1', 'fm2', 'fm3'], cnamePatterns: [/\.fmhosted\.com$/i] },
+  { name: 'Proton Mail', selectors: ['protonmail', 'protonmail2', 'protonmail3'], cnamePatterns: [/\.protonmail\.ch$/i] }
+]
+
+const GENERIC_SELECTORS = ['default', 'dkim', 'mail', 'email', 'selector', 'smtp', 'key1', 'key2', 's1024', 's2048']
+
+// Caller-supplied selectors probed on top of the built-in list, and selectors looked up at once
+export const MAX_CUSTOM_SELECTORS = 50
+const DISCOVERY_CONCURRENCY = 10
+const SELECTOR_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/
+
+// Extra selectors to probe, e.g. DKIM_DISCOVERY_SELECTORS="mkt,news"
+const EXTRA_SELECTORS = (process.env.DKIM_DISCOVERY_SELECTORS || '')
+  .split(',')
+  .map(selector => selector.trim().toLowerCase())
+  .filter(Boolean)
 
 // DKIM Analysis
 export async function analyzeDKIM(domain, selector = 'default') {
+  const dkimRecord = `${selector}._domainkey.${domain}`
+  const dnssec = dnssecSummary([{ name: dkimRecord, type: 'TXT' }])
+
   try {
-    const dkimRecord = `${selector}._domainkey.${domain}`
-    
     try {
-      const txtRecords = await resolver.resolveTxt(dkimRecord)
-      const flatRecords = txtRecords.map(entry => entry.join(''))
-      const dkimKey = flatRecords.find(txt => txt.includes('v=DKIM1') || txt.includes('k=rsa') || txt.includes('p='))
+      const lookup = await lookupDKIMSelector(domain, selector)
+      const dkimKey = lookup.record
 
       if (!dkimKey) {
         return {
@@ -23,28 +53,16 @@ export async function analyzeDKIM(domain, selector = 'default') {
           domain,
           selector,
           checkedRecord: dkimRecord,
+          dnssec: await dnssec,
           recommendations: [
             'Set up DKIM signing for your domain',
-            'Common selectors to try: default, google, mail, dkim',
+            'Omit the selector to auto-discover common provider selectors',
             'Contact your email provider for DKIM setup instructions'
           ]
         }
       }
 
-      // Use mailauth for comprehensive analysis
-      let mailauthResult = null
-      try {
-        const testMessage = `DKIM-Signature: v=1; a=rsa-sha256; c=relaxed/relaxed; d=${domain}; s=${selector}; h=from:to:subject; bh=test; b=test\r\nFrom: test@${domain}\r\nTo: test@example.com\r\nSubject: DKIM Test\r\n\r\nTest message for DKIM analysis`
-        mailauthResult = await mailauth.authenticate(testMessage, {
-          ip: '8.8.8.8',
-          helo: domain,
-          sender: `test@${domain}`
-        })
-      } catch (authError) {
-        console.log('Mailauth DKIM error (expected for analysis):', authError.message)
-      }
-
-      const analysis = analyzeDKIMRecord(dkimKey, mailauthResult)
+      const analysis = analyzeDKIMRecord(dkimKey)
 
       return {
         success: true,
@@ -52,16 +70,33 @@ export async function analyzeDKIM(domain, selector = 'default') {
         selector,
         checkedRecord: dkimRecord,
         rawRecord: dkimKey,
-        mailauthResult: mailauthResult,
+        cname: lookup.cname,
+        provider: inferProvider(selector, lookup.cname),
+        dnssec: await dnssec,
         ...analysis
       }
     } catch (dnsError) {
+      // SERVFAIL or a timeout says nothing about whether the key exists
+      if (dnsError.status && !['NXDOMAIN', 'NODATA'].includes(dnsError.status)) {
+        return {
+          success: false,
+          error: `DNS lookup for ${dkimRecord} failed (${dnsError.status})`,
+          domain,
+          selector,
+          checkedRecord: dkimRecord,
+          dnsStatus: dnsError.status,
+          dnssec: await dnssec
+        }
+      }
+
       return {
         success: false,
         error: `DKIM record not found for selector '${selector}'`,
         domain,
         selector,
         checkedRecord: dkimRecord,
+        dnsStatus: dnsError.status,
+        dnssec: await dnssec,
         recommendations: [
           'Try common selectors: default, google, mail, dkim, selector1, selector2',
           'Check with your email provider for the correct DKIM selector',
@@ -74,57 +109,216 @@ export async function analyzeDKIM(domain, selector = 'default') {
       success: false,
       error: error.message,
       domain,
-      selector
+      selector,
+      checkedRecord: dkimRecord,
+      dnsStatus: error.status,
+      dnssec: await dnssec
     }
   }
 }
 
-function analyzeDKIMRecord(record, dkimResult = null) {
+// DKIM selector discovery: probe known provider selectors in parallel
+export async function discoverDKIMSelectors(domain, options = {}) {
+  try {
+    const custom = (options.selectors || [])
+      .map(selector => String(selector).trim().toLowerCase())
+      .filter(selector => SELECTOR_PATTERN.test(selector))
+      .slice(0, MAX_CUSTOM_SELECTORS)
+    const selectors = [...new Set([
+      ...custom,
+      ...EXTRA_SELECTORS,
+      ...DKIM_PROVIDERS.flatMap(provider => provider.selectors),
+      ...GENERIC_SELECTORS
+    ])]
+
+    const lookups = []
+    let next = 0
+    const worker = async () => {
+      while (next < selectors.length) {
+        const index = next++
+        const selector = selectors[index]
+        try {
+          lookups[index] = { selector, ...(await lookupDKIMSelector(domain, selector)) }
+        } catch (error) {
+          lookups[index] = { selector, record: null, cname: null }
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(DISCOVERY_CONCURRENCY, selectors.length) }, worker))
+
+    const found = lookups
+      .filter(lookup => lookup.record)
+      .map(lookup => ({
+        selector: lookup.selector,
+        checkedRecord: `${lookup.selector}._domainkey.${domain}`,
+        rawRecord: lookup.record,
+        cname: lookup.cname,
+        provider: inferProvider(lookup.selector, lookup.cname),
+        ...analyzeDKIMRecord(lookup.record)
+      }))
+
+    // A CNAME without a key usually means the provider side was never set up
+    const danglingSelectors = lookups
+      .filter(lookup => !lookup.record && lookup.cname)
+      .map(lookup => ({ selector: lookup.selector, cname: lookup.cname, provider: inferProvider(lookup.selector, lookup.cname) }))
+
+    if (found.length === 0) {
+      return {
+        success: false,
+        error: 'No DKIM records found for common selectors',
+        domain,
+        mode: 'discovery',
+        probedSelectors: selectors,
+        danglingSelectors,
+        recommendations: [
+          'Set up DKIM signing for your domain',
+          'If you already sign mail, pass your selector explicitly (it is the s= tag of the DKIM-Signature header)',
+          'Some providers (e.g. Amazon SES) use random selectors that cannot be guessed'
+        ]
+      }
+    }
+
+    const best = found.reduce((a, b) => (b.score.value > a.score.value ? b : a))
+    const providers = [...new Set(found.map(entry => entry.provider).filter(Boolean))]
+
+    return {
+      success: true,
+      domain,
+      mode: 'discovery',
+      probedSelectors: selectors,
+      selectors: found,
+      providers,
+      danglingSelectors,
+      selector: best.selector,
+      dnssec: await dnssecSummary(found.map(entry => ({ name: entry.checkedRecord, type: 'TXT' }))),
+      warnings: [
+        ...best.warnings,
+        ...danglingSelectors.map(entry => `Selector '${entry.selector}' points to ${entry.cname} but no DKIM key is published there`)
+      ],
+      recommendations: best.recommendations,
+      score: best.score
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain,
+      mode: 'discovery'
+    }
+  }
+}
+
+async function lookupDKIMSelector(domain, selector) {
+  const name = `${selector}._domainkey.${domain}`
+
+  // Selectors are often delegated to the provider by CNAME; TXT lookups follow it transparently
+  const [cnameResult, txtResult] = await Promise.allSettled([
+    resolver.resolveCname(name),
+    resolver.resolveTxt(name)
+  ])
+
+  const cname = cnameResult.status === 'fulfilled' && cnameResult.value.length > 0 ? cnameResult.value[0] : null
+
+  if (txtResult.status === 'rejected') {
+    if (cname) return { record: null, cname }
+    throw txtResult.reason
+  }
+
+  const flatRecords = txtResult.value.map(entry => entry.join(''))
+  const record = flatRecords.find(txt => txt.includes('v=DKIM1') || txt.includes('k=rsa') || txt.includes('p='))
+
+  return { record: record || null, cname }
+}
+
+function inferProvider(selector, cname) {
+  if (cname) {
+    const byCname = DKIM_PROVIDERS.find(provider => provider.cnamePatterns.some(pattern => pattern.test(cname)))
+    if (byCname) return byCname.name
+  }
+
+  const bySelector = DKIM_PROVIDERS.find(provider => provider.selectors.includes(selector.toLowerCase()))
+  return bySelector ? bySelector.name : null
+}
+
+function analyzeDKIMRecord(record) {
   const score = { base: 0, details: [] }
   const warnings = []
   const recommendations = []
 
+  const parsed = parseDKIMRecord(record)
+  const { key } = parsed
+
   // Basic DKIM validation
-  if (!record.includes('v=DKIM1') && !record.includes('k=rsa') && !record.includes('p=')) {
+  if (parsed.tags.p === undefined) {
     warnings.push('Invalid DKIM record format')
-    return { score: { value: 0, outOf: 5, level: 'Poor' }, warnings, recommendations }
+    parsed.errors.forEach(error => warnings.push(`Position ${error.position}: ${error.message}`))
+    return { parsed: parsed.tags, key, score: { value: 0, outOf: 5, level: 'Poor' }, warnings, recommendations }
   }
 
-  score.base += 1
-  score.details.push('Valid DKIM record found (+1 point)')
+  parsed.errors.forEach(error => warnings.push(`Position ${error.position}: ${error.message}`))
+  parsed.warnings.forEach(warning => warnings.push(warning.message))
 
-  // Check for public key
-  if (record.includes('p=') && !record.includes('p=;')) {
-    score.base += 2
-    score.details.push('Public key present (+2 points)')
-  } else {
-    warnings.push('No public key found in DKIM record')
+  if (key.revoked) {
+    warnings.push('This selector is revoked (empty p=) – signatures using it will fail')
+    recommendations.push('Remove the revoked selector once no mail is signed with it, or publish a new key')
+    return {
+      parsed: parsed.tags,
+      key,
+      warnings,
+      recommendations,
+      score: { value: 0, outOf: 5, level: 'Poor', details: ['Revoked selector (0 points)'] }
+    }
   }
 
-  // Check key type
-  if (record.includes('k=rsa')) {
+  if (parsed.valid) {
     score.base += 1
-    score.details.push('RSA key type (+1 point)')
+    score.details.push('Valid DKIM record found (+1 point)')
+  } else {
+    recommendations.push('Fix the DKIM record errors – verifiers treat an invalid key record as a failed signature')
   }
 
-  // Check for hash algorithms
-  if (record.includes('h=sha256')) {
-    score.base += 1
-    score.details.push('SHA-256 hash algorithm (+1 point)')
-  } else if (record.includes('h=sha1')) {
+  // Key algorithm and strength
+  if (key.error) {
+    score.details.push('Public key could not be decoded (0 points)')
+  } else if (key.type === 'ed25519') {
+    score.base += 3
+    score.details.push('Ed25519 key (+3 points)')
+    recommendations.push('Ed25519 is not verified by every receiver – also sign with a 2048-bit RSA key')
+  } else if (key.bits >= 2048) {
+    score.base += 3
+    score.details.push(`${key.bits}-bit RSA key (+3 points)`)
+  } else if (key.bits >= 1024) {
+    score.base += 1.5
+    score.details.push(`${key.bits}-bit RSA key (+1.5 points)`)
+    warnings.push(`Legacy ${key.bits}-bit RSA key`)
+    recommendations.push('Rotate to a 2048-bit RSA key')
+  } else {
+    warnings.push(`Weak ${key.bits}-bit RSA key – most receivers reject keys shorter than 1024 bits`)
+    recommendations.push('Replace this key immediately with a 2048-bit RSA key')
+  }
+
+  // Hash algorithms (absent h= allows all)
+  if (parsed.hashAlgorithms.includes('sha256')) {
     score.base += 0.5
-    score.details.push('SHA-1 hash algorithm (+0.5 points)')
-    recommendations.push('Consider upgrading to SHA-256 for better security')
+    score.details.push('SHA-256 hash algorithm allowed (+0.5 points)')
+  } else {
+    warnings.push('Key only allows SHA-1, which is deprecated (RFC 8301)')
+    recommendations.push('Allow sha256 in h= or remove the h= tag')
   }
 
-  // Add mailauth analysis if available
-  if (dkimResult) {
-    if (dkimResult.status && dkimResult.status.result) {
-      score.details.push(`Mailauth DKIM check: ${dkimResult.status.result}`)
-    }
-    if (dkimResult.info) {
-      score.details.push(`DKIM info: ${dkimResult.info}`)
-    }
+  // Service type must cover email
+  if (!parsed.serviceTypes.some(type => type === '*' || type === 'email')) {
+    score.base -= 2
+    score.details.push('Key not usable for email (s=) (-2 points)')
+  }
+
+  // Testing flag
+  if (parsed.flags.testing) {
+    warnings.push('DKIM key is in testing mode (t=y) – receivers may ignore failures')
+    recommendations.push('Remove t=y once signing is verified')
+  } else {
+    score.base += 0.5
+    score.details.push('Not in testing mode (+0.5 points)')
   }
 
   const finalScore = Math.max(Math.min(score.base, 5), 0)
@@ -134,6 +328,10 @@ function analyzeDKIMRecord(record, dkimResult = null) {
   else if (finalScore >= 2) securityLevel = 'Fair'
 
   return {
+    parsed: parsed.tags,
+    key,
+    flags: parsed.flags,
+    notes: parsed.notes,
     warnings,
     recommendations,
     score: {
@@ -0,0 +1,497 @@
+// src/services/dmarcReportService.js
+import { XMLParser } from 'fast-xml-parser'
+import { extractFiles, createExtractionBudget } from '../utils/archive.js'
+import { parseMimeMessage, parseHeaderBlock } from '../utils/mime.js'
+import { analyzeDMARC } from './dmarcService.js'
+
+// Elements that may repeat in RFC 7489 Appendix C aggregate reports
+const ARRAY_PATHS = [
+  'feedback.record',
+  'feedback.record.auth_results.dkim',
+  'feedback.record.auth_results.spf',
+  'feedback.record.row.policy_evaluated.reason'
+]
+
+// MIME types an ARF report uses to carry the original message or its headers
+const ORIGINAL_MESSAGE_TYPES = ['message/rfc822', 'text/rfc822-headers', 'message/rfc822-headers']
+
+// policy_evaluated reason types reported when a receiver overrides the policy for indirect mail
+const FORWARDING_REASONS = ['forwarded', 'mailing_list', 'trusted_forwarder']
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name, jpath) => ARRAY_PATHS.includes(jpath)
+})
+
+// DMARC Aggregate Report Analysis
+export async function analyzeAggregateReports(files) {
+  try {
+    const reports = []
+    const errors = []
+    const seen = new Set()
+    const budget = createExtractionBudget()
+
+    for (const file of files) {
+      let documents
+      try {
+        documents = extractFiles(file.data, file.name, budget)
+      } catch (error) {
+        errors.push({ file: file.name, error: error.message })
+        // Once the request's budget is spent, the remaining files are not unpacked either
+        if (budget.exceeded) break
+        continue
+      }
+
+      for (const document of documents) {
+        try {
+          const report = parseAggregateReport(document.data.toString('utf8'), document.name)
+          // The same report is often delivered to several rua addresses
+          const key = `${report.orgName}|${report.reportId}`
+          if (seen.has(key)) {
+            errors.push({ file: document.name, error: `Duplicate report ${report.reportId} from ${report.orgName} skipped` })
+            continue
+          }
+          seen.add(key)
+          reports.push(report)
+        } catch (error) {
+          errors.push({ file: document.name, error: error.message })
+        }
+      }
+    }
+
+    if (reports.length === 0) {
+      return {
+        success: false,
+        error: 'No valid DMARC aggregate reports found',
+        errors
+      }
+    }
+
+    return {
+      success: true,
+      ...summarizeReports(reports),
+      errors
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+// DMARC Failure (RUF / ARF) Report Analysis
+export async function analyzeFailureReports(messages) {
+  try {
+    const reports = []
+    const errors = []
+
+    for (const message of messages) {
+      try {
+        reports.push(parseFailureReport(message.data, message.name))
+      } catch (error) {
+        errors.push({ file: message.name, error: error.message })
+      }
+    }
+
+    if (reports.length === 0) {
+      return {
+        success: false,
+        error: 'No valid DMARC failure reports found',
+        errors
+      }
+    }
+
+    // Look each domain's policy up once, however many reports mention it
+    const policies = new Map()
+    for (const report of reports) {
+      // The From domain may inherit its policy from the organizational domain
+      const domain = report.headerFromDomain || report.reportedDomain
+      if (domain && !policies.has(domain)) {
+        policies.set(domain, analyzeDMARC(domain))
+      }
+    }
+
+    for (const report of reports) {
+      const domain = report.headerFromDomain || report.reportedDomain
+      report.dmarcPolicy = domain
+        ? correlatePolicy(report, domain, await policies.get(domain))
+        : null
+    }
+
+    return {
+      success: true,
+      reportCount: reports.length,
+      summary: {
+        authFailures: countBy(reports.flatMap(report => report.authFailure)),
+        sourceIps: countBy(reports.map(report => report.sourceIp)),
+        domains: countBy(reports.map(report => report.reportedDomain || report.headerFromDomain))
+      },
+      reports,
+      errors
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+function parseAggregateReport(xml, file) {
+  const document = xmlParser.parse(xml)
+  const feedback = document.feedback
+
+  if (!feedback || !feedback.report_metadata) {
+    throw new Error('Not a DMARC aggregate report (missing <feedback>/<report_metadata>)')
+  }
+
+  const metadata = feedback.report_metadata
+  const policy = feedback.policy_published || {}
+
+  return {
+    file,
+    orgName: text(metadata.org_name),
+    email: text(metadata.email),
+    reportId: text(metadata.report_id),
+    dateRange: {
+      begin: toISODate(metadata.date_range?.begin),
+      end: toISODate(metadata.date_range?.end)
+    },
+    policyPublished: {
+      domain: text(policy.domain),
+      adkim: text(policy.adkim) || 'r',
+      aspf: text(policy.aspf) || 'r',
+      p: text(policy.p),
+      sp: text(policy.sp),
+      pct: policy.pct !== undefined ? Number(policy.pct) : 100
+    },
+    records: (feedback.record || []).map(parseRecord)
+  }
+}
+
+function parseRecord(record) {
+  const row = record.row || {}
+  const evaluated = row.policy_evaluated || {}
+  const identifiers = record.identifiers || {}
+  const auth = record.auth_results || {}
+
+  return {
+    sourceIp: text(row.source_ip),
+    count: Number(row.count) || 0,
+    disposition: text(evaluated.disposition) || 'none',
+    dkimAligned: text(evaluated.dkim) === 'pass',
+    spfAligned: text(evaluated.spf) === 'pass',
+    reasons: (evaluated.reason || []).map(reason => ({ type: text(reason.type), comment: text(reason.comment) })),
+    headerFrom: text(identifiers.header_from),
+    envelopeFrom: text(identifiers.envelope_from),
+    dkim: (auth.dkim || []).map(entry => ({
+      domain: text(entry.domain),
+      selector: text(entry.selector),
+      result: text(entry.result)
+    })),
+    spf: (auth.spf || []).map(entry => ({
+      domain: text(entry.domain),
+      scope: text(entry.scope) || 'mfrom',
+      result: text(entry.result)
+    }))
+  }
+}
+
+function summarizeReports(reports) {
+  const orgs = new Map()
+  const sources = new Map()
+  const dispositions = { none: 0, quarantine: 0, reject: 0 }
+  const domains = new Set()
+  let totalMessages = 0
+  let passingMessages = 0
+  let begin = null
+  let end = null
+
+  for (const report of reports) {
+    const messageCount = report.records.reduce((sum, record) => sum + record.count, 0)
+    const org = orgs.get(report.orgName) || { name: report.orgName, email: report.email, reports: 0, messages: 0 }
+    org.reports += 1
+    org.messages += messageCount
+    orgs.set(report.orgName, org)
+
+    if (report.policyPublished.domain) domains.add(report.policyPublished.domain)
+    if (report.dateRange.begin && (!begin || report.dateRange.begin < begin)) begin = report.dateRange.begin
+    if (report.dateRange.end && (!end || report.dateRange.end > end)) end = report.dateRange.end
+
+    for (const record of report.records) {
+      const dmarcPass = record.dkimAligned || record.spfAligned
+      totalMessages += record.count
+      if (dmarcPass) passingMessages += record.count
+      dispositions[record.disposition] = (dispositions[record.disposition] || 0) + record.count
+
+      const source = sources.get(record.sourceIp) || {
+        ip: record.sourceIp,
+        count: 0,
+        dmarcPass: 0,
+        dmarcFail: 0,
+        spfAligned: 0,
+        dkimAligned: 0,
+        headerFrom: new Set(),
+        envelopeFrom: new Set(),
+        dkimDomains: new Map(),
+        spfDomains: new Map(),
+        dispositions: {},
+        overrideReasons: new Set(),
+        reportingOrgs: new Set()
+      }
+
+      source.count += record.count
+      source[dmarcPass ? 'dmarcPass' : 'dmarcFail'] += record.count
+      if (record.spfAligned) source.spfAligned += record.count
+      if (record.dkimAligned) source.dkimAligned += record.count
+      if (record.headerFrom) source.headerFrom.add(record.headerFrom)
+      if (record.envelopeFrom) source.envelopeFrom.add(record.envelopeFrom)
+      source.dispositions[record.disposition] = (source.dispositions[record.disposition] || 0) + record.count
+      source.reportingOrgs.add(report.orgName)
+      record.reasons.forEach(reason => reason.type && source.overrideReasons.add(reason.type))
+      record.dkim.forEach(entry => tally(source.dkimDomains, entry.domain, entry.result, record.count))
+      record.spf.forEach(entry => tally(source.spfDomains, entry.domain, entry.result, record.count))
+
+      sources.set(record.sourceIp, source)
+    }
+  }
+
+  const sourceList = [...sources.values()]
+    .map(formatSource)
+    .sort((a, b) => b.count - a.count)
+
+  const failingSources = sourceList
+    .filter(source => source.dmarcFail > 0)
+    .map(source => ({ ...source, ...classifyFailingSource(source) }))
+    .sort((a, b) => Number(b.likelyLegitimate) - Number(a.likelyLegitimate) || b.dmarcFail - a.dmarcFail)
+
+  return {
+    reportCount: reports.length,
+    domains: [...domains],
+    dateRange: { begin, end },
+    reportingOrgs: [...orgs.values()].sort((a, b) => b.messages - a.messages),
+    totals: {
+      messages: totalMessages,
+      dmarcPass: passingMessages,
+      dmarcFail: totalMessages - passingMessages,
+      passRate: totalMessages > 0 ? Math.round((passingMessages / totalMessages) * 1000) / 10 : 0
+    },
+    dispositions,
+    sources: sourceList,
+    failingSources,
+    reports: reports.map(({ records, ...report }) => ({
+      ...report,
+      recordCount: records.length,
+      messageCount: records.reduce((sum, record) => sum + record.count, 0)
+    }))
+  }
+}
+
+// A failing source that still authenticates for some domain is usually a real sender missing alignment
+function classifyFailingSource(source) {
+  const dkimPassDomains = source.dkimAuth.filter(entry => entry.pass > 0).map(entry => entry.domain)
+  const spfPassDomains = source.spfAuth.filter(entry => entry.pass > 0).map(entry => entry.domain)
+  const fixes = []
+
+  if (dkimPassDomains.length > 0) {
+    fixes.push(`Signs with DKIM for ${dkimPassDomains.join(', ')} – configure the sender to sign with your domain (custom DKIM)`)
+  }
+
+  if (spfPassDomains.length > 0) {
+    fixes.push(`Passes SPF for ${spfPassDomains.join(', ')} – set a custom MAIL FROM / return-path on your domain`)
+  }
+
+  const possibleForwarding = source.overrideReasons.some(reason => FORWARDING_REASONS.includes(reason)) ||
+    (fixes.length === 0 && source.dmarcPass > 0)
+
+  if (possibleForwarding) {
+    fixes.push('Likely forwarded or mailing-list traffic – aligned DKIM signatures survive forwarding, SPF does not')
+  }
+
+  return {
+    likelyLegitimate: dkimPassDomains.length > 0 || spfPassDomains.length > 0,
+    possibleForwarding,
+    fixes
+  }
+}
+
+function formatSource(source) {
+  return {
+    ip: source.ip,
+    count: source.count,
+    dmarcPass: source.dmarcPass,
+    dmarcFail: source.dmarcFail,
+    spfAligned: source.spfAligned,
+    dkimAligned: source.dkimAligned,
+    headerFrom: [...source.headerFrom],
+    envelopeFrom: [...source.envelopeFrom],
+    dkimAuth: [...source.dkimDomains.values()],
+    spfAuth: [...source.spfDomains.values()],
+    dispositions: source.dispositions,
+    overrideReasons: [...source.overrideReasons],
+    reportingOrgs: [...source.reportingOrgs]
+  }
+}
+
+function tally(map, domain, result, count) {
+  const key = domain || '(none)'
+  const entry = map.get(key) || { domain: key, pass: 0, fail: 0 }
+  entry[result === 'pass' ? 'pass' : 'fail'] += count
+  map.set(key, entry)
+}
+
+function text(value) {
+  if (value === undefined || value === null) return null
+  return String(value).trim()
+}
+
+function toISODate(value) {
+  const seconds = Number(value)
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null
+}
+
+// RFC 6591 report: human-readable part, message/feedback-report fields, then the original message or headers
+function parseFailureReport(raw, file) {
+  const message = parseMimeMessage(raw)
+
+  if (message.contentType !== 'multipart/report') {
+    throw new Error(`Not an ARF report (expected multipart/report, found ${message.contentType})`)
+  }
+
+  const feedbackPart = message.parts.find(part => part.contentType === 'message/feedback-report')
+  if (!feedbackPart) {
+    throw new Error('ARF report is missing its message/feedback-report part')
+  }
+
+  const fields = parseHeaderBlock(feedbackPart.body.toString('utf8'))
+  const field = name => fields.find(entry => entry.key === name)?.value || null
+  const fieldAll = name => fields.filter(entry => entry.key === name).map(entry => entry.value)
+
+  const descriptionPart = message.parts.find(part => part.contentType === 'text/plain')
+  const originalPart = message.parts.find(part => ORIGINAL_MESSAGE_TYPES.includes(part.contentType))
+  const originalHeaders = originalPart ? parseMimeMessage(originalPart.body).headers : []
+  const originalHeader = name => originalHeaders.find(entry => entry.key === name)?.value || null
+
+  const headerFrom = originalHeader('from')
+  const dkimSignatures = originalHeaders
+    .filter(entry => entry.key === 'dkim-signature')
+    .map(entry => {
+      const tags = Object.fromEntries(entry.value.split(';')
+        .map(tag => tag.split('=').map(item => item.replace(/\s+/g, '')))
+        .filter(([name, value]) => name && value !== undefined))
+      return { domain: tags.d || null, selector: tags.s || null, identity: tags.i || null, algorithm: tags.a || null }
+    })
+
+  return {
+    file,
+    feedbackType: (field('feedback-type') || '').toLowerCase() || null,
+    authFailure: fieldAll('auth-failure').map(value => value.toLowerCase()),
+    version: field('version'),
+    userAgent: field('user-agent'),
+    arrivalDate: toISOFromHeaderDate(field('arrival-date') || field('received-date')),
+    sourceIp: field('source-ip'),
+    reportedDomain: (field('reported-domain') || '').toLowerCase() || null,
+    reportedUri: fieldAll('reported-uri'),
+    originalMailFrom: stripAngles(field('original-mail-from')),
+    originalRcptTo: fieldAll('original-rcpt-to').map(stripAngles),
+    deliveryResult: field('delivery-result'),
+    identityAlignment: field('identity-alignment'),
+    incidents: field('incidents') ? Number(field('incidents')) : 1,
+    authenticationResults: fieldAll('authentication-results'),
+    dkim: {
+      domain: field('dkim-domain'),
+      identity: field('dkim-identity'),
+      selector: field('dkim-selector'),
+      signatures: dkimSignatures
+    },
+    spf: {
+      mailFrom: stripAngles(field('original-mail-from') || originalHeader('return-path')),
+      dns: field('spf-dns')
+    },
+    headerFrom,
+    headerFromDomain: addressDomain(headerFrom),
+    subject: originalHeader('subject'),
+    messageId: originalHeader('message-id'),
+    originalHeaders: originalHeaders.map(entry => ({ key: entry.key, value: entry.value })),
+    description: descriptionPart ? descriptionPart.body.toString('utf8').trim() : null
+  }
+}
+
+function correlatePolicy(report, domain, dmarc) {
+  if (!dmarc || !dmarc.success) {
+    return {
+      domain,
+      found: false,
+      error: dmarc?.error || null,
+      notes: [`${domain} no longer publishes a DMARC record`]
+    }
+  }
+
+  const policy = dmarc.parsed
+  const notes = []
+  const pct = policy.pct !== undefined ? Number(policy.pct) : 100
+  const appliedPolicy = dmarc.effectivePolicy?.policy || policy.p
+  const appliedTag = `${dmarc.effectivePolicy?.source || 'p'}=${appliedPolicy}`
+  const failureOptions = String(policy.fo || '0').split(':').map(option => option.trim())
+
+  if (!policy.ruf?.length) {
+    notes.push('The current record has no ruf= tag, so failure reports are no longer requested')
+  }
+
+  if (appliedPolicy === 'none') {
+    notes.push(`Policy is ${appliedTag} – messages failing like this one are still delivered`)
+  } else if (report.deliveryResult && /deliver/i.test(report.deliveryResult) && !/reject|discard/i.test(report.deliveryResult)) {
+    notes.push(`Receiver reported "${report.deliveryResult}" despite ${appliedTag}${pct < 100 ? ` (pct=${pct} samples the policy)` : ''}`)
+  }
+
+  if (report.authFailure.includes('dkim') && !failureOptions.some(option => ['1', 'd'].includes(option))) {
+    notes.push('Report covers a DKIM failure although fo= does not request DKIM failure reports')
+  }
+
+  if (report.authFailure.includes('spf') && !failureOptions.some(option => ['1', 's'].includes(option))) {
+    notes.push('Report covers an SPF failure although fo= does not request SPF failure reports')
+  }
+
+  return {
+    domain,
+    found: true,
+    policyDomain: dmarc.policyDomain,
+    rawRecord: dmarc.rawRecord,
+    policy: policy.p || null,
+    subdomainPolicy: policy.sp || null,
+    appliedPolicy: appliedPolicy || null,
+    pct,
+    adkim: policy.adkim || 'r',
+    aspf: policy.aspf || 'r',
+    fo: policy.fo || '0',
+    ruf: policy.ruf || [],
+    notes
+  }
+}
+
+function countBy(values) {
+  const counts = {}
+  for (const value of values) {
+    if (!value) continue
+    counts[value] = (counts[value] || 0) + 1
+  }
+  return counts
+}
+
+function stripAngles(value) {
+  return value ? value.replace(/^<|>$/g, '').trim() : null
+}
+
+function addressDomain(value) {
+  const match = /@([^\s>]+)/.exec(value || '')
+  return match ? match[1].toLowerCase() : null
+}
+
+function toISOFromHeaderDate(value) {
+  const date = value ? new Date(value) : null
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null
+}
@@ -1,25 +1,72 @@
 // src/services/dmarcService.js
-import { Resolver } from 'dns/promises'
 import dmarcParse from 'dmarc-parse'
 import mailauth from 'mailauth'
+import { getDomain } from 'tldts'
+import { parseDMARCRecord, parseReportURI } from '../utils/dmarcParser.js'
+import { dnssecSummary } from '../utils/dnssec.js'
+import { resolver } from '../utils/dnsResolver.js'
 
-// DNS resolver (Google + Cloudflare)
-const resolver = new Resolver()
-resolver.setServers(['8.8.8.8', '1.1.1.1'])
+// DMARCbis tree walk: names longer than this are shortened straight to this many labels
+const MAX_TREE_WALK_LABELS = 7
 
 // DMARC Analysis
-export async function analyzeDMARC(domain) {
+// discovery: 'psl' (RFC 7489 organizational domain from the Public Suffix List) or 'treewalk' (DMARCbis)
+// strict: reject records that fail syntax validation instead of parsing them leniently
+// Multiple records at the first name that publishes one mean no DMARC policy applies, in either mode
+export async function analyzeDMARC(domain, options = {}) {
+  const discovery = options.discovery === 'treewalk' ? 'treewalk' : 'psl'
+  const strict = Boolean(options.strict)
+  const dnssec = dnssecSummary([{ name: `_dmarc.${domain}`, type: 'TXT' }])
+
   try {
-    const txtRecords = await resolver.resolveTxt(`_dmarc.${domain}`)
-    const flatRecords = txtRecords.map(entry => entry.join(''))
-    const dmarcRecord = flatRecords.find(txt => txt.startsWith('v=DMARC1'))
+    const lookup = discovery === 'treewalk'
+      ? await discoverByTreeWalk(domain)
+      : await discoverByPSL(domain)
 
-    if (!dmarcRecord) {
+    const duplicated = lookup.chain.find(entry => entry.records)
+    if (duplicated) {
+      return {
+        success: false,
+        error: `Multiple DMARC records published at ${duplicated.query}`,
+        domain,
+        checkedRecord: duplicated.query,
+        records: duplicated.records,
+        discovery,
+        organizationalDomain: lookup.organizationalDomain,
+        inheritanceChain: lookup.chain,
+        dnssec: await dnssec,
+        recommendations: [
+          `Remove all but one v=DMARC1 record at ${duplicated.query}; receivers ignore DMARC entirely while there are several`
+        ]
+      }
+    }
+
+    if (!lookup.found) {
       return {
         success: false,
         error: 'DMARC record not found',
         domain,
-        checkedRecord: `_dmarc.${domain}`
+        checkedRecord: `_dmarc.${domain}`,
+        discovery,
+        organizationalDomain: lookup.organizationalDomain,
+        inheritanceChain: lookup.chain,
+        dnssec: await dnssec
+      }
+    }
+
+    const dmarcRecord = lookup.found.record
+    const syntax = parseDMARCRecord(dmarcRecord)
+
+    if (strict && !syntax.valid) {
+      return {
+        success: false,
+        error: 'DMARC record failed strict validation',
+        domain,
+        checkedRecord: `_dmarc.${lookup.found.domain}`,
+        rawRecord: dmarcRecord,
+        discovery,
+        syntax,
+        dnssec: await dnssec
       }
     }
 
@@ -35,23 +82,234 @@ export async function analyzeDMARC(domain) {
       console.log('DMARC verification error (expected for analysis):', dmarcError.message)
     }
 
-    const analysis = enrichDMARC(parseDMARC(dmarcRecord), dmarcResult)
+    const parsed = parseDMARC(dmarcRecord)
+    const reportDestinations = await checkReportDestinations(lookup.found.domain, parsed)
+    const analysis = enrichDMARC(parsed, dmarcResult, reportDestinations)
+    const effectivePolicy = await resolveEffectivePolicy(domain, lookup.found.domain, parsed)
+
+    if (effectivePolicy.inherited) {
+      analysis.warnings.push(`${domain} has no DMARC record of its own; the policy is inherited from ${lookup.found.domain}`)
+      if (effectivePolicy.source === 'p' && parsed.p !== 'reject') {
+        analysis.recommendations.push(`Add sp= to the ${lookup.found.domain} record to set an explicit subdomain policy`)
+      }
+    }
 
     return {
       success: true,
       domain,
-      checkedRecord: `_dmarc.${domain}`,
+      checkedRecord: `_dmarc.${lookup.found.domain}`,
       rawRecord: dmarcRecord,
       dmarcResult: dmarcResult,
+      discovery,
+      syntax,
+      policyDomain: lookup.found.domain,
+      organizationalDomain: lookup.organizationalDomain,
+      effectivePolicy,
+      inheritanceChain: lookup.chain,
+      reportDestinations,
+      dnssec: lookup.found.domain === domain
+        ? await dnssec
+        : await dnssecSummary([{ name: `_dmarc.${lookup.found.domain}`, type: 'TXT' }]),
       ...analysis
     }
   } catch (error) {
     return {
       success: false,
       error: error.message,
-      domain
+      domain,
+      dnsStatus: error.status,
+      dnssec: await dnssec
+    }
+  }
+}
+
+// RFC 7489 §6.6.3: query the author domain, then fall back to its organizational domain
+// Discovery stops at the first name with any DMARC record, even when it publishes several
+async function discoverByPSL(domain) {
+  const organizationalDomain = getDomain(domain) || domain
+  const chain = []
+
+  const candidates = [domain]
+  if (organizationalDomain !== domain) candidates.push(organizationalDomain)
+
+  for (const candidate of candidates) {
+    const entry = await lookupDMARCRecord(candidate)
+    entry.note = candidate === domain
+      ? 'Author domain'
+      : 'Organizational domain (Public Suffix List)'
+    chain.push(entry)
+    if (entry.record || entry.records) {
+      return { found: entry.record ? entry : null, organizationalDomain, chain }
+    }
+  }
+
+  return { found: null, organizationalDomain, chain }
+}
+
+// DMARCbis §4.10: walk up the tree one label at a time, jumping to 7 labels for long names
+async function discoverByTreeWalk(domain) {
+  const chain = []
+  let found = null
+
+  for (const candidate of treeWalkTargets(domain)) {
+    const entry = await lookupDMARCRecord(candidate)
+    entry.note = candidate === domain ? 'Author domain' : 'Tree walk'
+    chain.push(entry)
+    if (entry.records) break
+    if (entry.record) {
+      found = entry
+      break
+    }
+  }
+
+  return {
+    found,
+    organizationalDomain: await treeWalkOrganizationalDomain(domain, chain),
+    chain
+  }
+}
+
+function treeWalkTargets(domain) {
+  const labels = domain.split('.').filter(Boolean)
+  const targets = [labels.join('.')]
+
+  let remaining = labels.length > MAX_TREE_WALK_LABELS + 1
+    ? labels.slice(-MAX_TREE_WALK_LABELS)
+    : labels.slice(1)
+
+  while (remaining.length > 0) {
+    targets.push(remaining.join('.'))
+    remaining = remaining.slice(1)
+  }
+
+  return targets
+}
+
+// DMARCbis organizational domain: first record with psd=n, one label below a psd=y record, else the shortest name with a record
+async function treeWalkOrganizationalDomain(domain, chain) {
+  const entries = [...chain]
+  for (const candidate of treeWalkTargets(domain).slice(chain.length)) {
+    entries.push(await lookupDMARCRecord(candidate))
+  }
+
+  const withRecords = entries.filter(entry => entry.record)
+  for (const entry of withRecords) {
+    const psd = /(?:^|;)\s*psd\s*=\s*([yn])/i.exec(entry.record)?.[1]?.toLowerCase()
+    if (psd === 'n') return entry.domain
+    if (psd === 'y') {
+      const index = entries.indexOf(entry)
+      return index > 0 ? entries[index - 1].domain : domain
+    }
+  }
+
+  return withRecords.length > 0 ? withRecords[withRecords.length - 1].domain : domain
+}
+
+async function lookupDMARCRecord(domain) {
+  const entry = { domain, query: `_dmarc.${domain}`, record: null, dnsStatus: 'NOERROR' }
+
+  try {
+    const txtRecords = await resolver.resolveTxt(`_dmarc.${domain}`)
+    const dmarcRecords = txtRecords.map(parts => parts.join('')).filter(txt => txt.startsWith('v=DMARC1'))
+
+    // More than one record means no valid policy at this name (RFC 7489 §6.6.3)
+    if (dmarcRecords.length > 1) {
+      entry.error = 'Multiple DMARC records published'
+      entry.records = dmarcRecords
+    } else if (dmarcRecords.length === 1) {
+      entry.record = dmarcRecords[0]
+    }
+  } catch (error) {
+    entry.dnsStatus = error.status || null
+    if (!['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+      entry.error = error.code || error.message
+    }
+  }
+
+  return entry
+}
+
+// RFC 7489 §7.1: a destination outside the publishing organizational domain must opt in
+async function checkReportDestinations(policyDomain, parsed) {
+  const organizationalDomain = getDomain(policyDomain) || policyDomain
+
+  const check = async uri => {
+    const destination = parseReportURI(uri)
+    if (!destination.valid) return destination
+
+    destination.external = (getDomain(destination.domain) || destination.domain) !== organizationalDomain
+    if (!destination.external) {
+      destination.deliverable = true
+      return destination
+    }
+
+    destination.checkedRecord = `${policyDomain}._report._dmarc.${destination.domain}`
+    try {
+      const txtRecords = await resolver.resolveTxt(destination.checkedRecord)
+      destination.authorizationRecord = txtRecords.map(parts => parts.join('')).find(txt => txt.startsWith('v=DMARC1')) || null
+    } catch (error) {
+      destination.authorizationRecord = null
+      if (!['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+        destination.error = error.code || error.message
+      }
+    }
+
+    destination.authorized = Boolean(destination.authorizationRecord)
+    destination.deliverable = destination.authorized
+    return destination
+  }
+
+  return {
+    rua: await Promise.all((parsed.rua || []).map(check)),
+    ruf: await Promise.all((parsed.ruf || []).map(check))
+  }
+}
+
+// Pick p, sp or np depending on where the record was found and whether the author domain exists
+async function resolveEffectivePolicy(domain, policyDomain, parsed) {
+  if (policyDomain === domain) {
+    return {
+      policy: parsed.p || null,
+      source: 'p',
+      inherited: false,
+      explanation: `${domain} publishes its own record, so p=${parsed.p} applies`
+    }
+  }
+
+  if (parsed.np && !(await domainExists(domain))) {
+    return {
+      policy: parsed.np,
+      source: 'np',
+      inherited: true,
+      explanation: `${domain} does not exist in DNS, so the non-existent subdomain policy np=${parsed.np} from ${policyDomain} applies`
     }
   }
+
+  if (parsed.sp) {
+    return {
+      policy: parsed.sp,
+      source: 'sp',
+      inherited: true,
+      explanation: `${domain} is a subdomain of ${policyDomain}, so its subdomain policy sp=${parsed.sp} applies`
+    }
+  }
+
+  return {
+    policy: parsed.p || null,
+    source: 'p',
+    inherited: true,
+    explanation: `${policyDomain} sets no sp=, so its p=${parsed.p} also applies to ${domain}`
+  }
+}
+
+async function domainExists(domain) {
+  try {
+    await resolver.resolve4(domain)
+    return true
+  } catch (error) {
+    // NODATA still means the name exists
+    return error.code !== 'ENOTFOUND'
+  }
 }
 
 // Helper Functions
@@ -100,6 +358,9 @@ function customDMARCParse(record) {
         case 'sp':
           result.sp = value
           break
+        case 'np':
+          result.np = value
+          break
         case 'adkim':
           result.adkim = value
           break
@@ -134,7 +395,7 @@ function customDMARCParse(record) {
   return result
 }
 
-function enrichDMARC(result, dmarcResult = null) {
+function enrichDMARC(result, dmarcResult = null, reportDestinations = null) {
   const score = {
     base: 0,
     details: []
@@ -165,17 +426,41 @@ function enrichDMARC(result, dmarcResult = null) {
   }
 
   // Reporting configuration
-  if (result.rua?.length) {
+  const destinations = reportDestinations
+    ? [...reportDestinations.rua, ...reportDestinations.ruf]
+    : []
+
+  for (const destination of destinations) {
+    if (!destination.valid) {
+      warnings.push(`Report URI "${destination.uri}" is invalid: ${destination.error}`)
+    } else if (destination.external && !destination.authorized) {
+      warnings.push(`Reports to ${destination.address} will never be delivered: ${destination.checkedRecord} does not authorize them`)
+      recommendations.push(`Ask ${destination.domain} to publish "v=DMARC1" at ${destination.checkedRecord}`)
+    }
+  }
+
+  const deliverableRua = reportDestinations
+    ? reportDestinations.rua.filter(destination => destination.deliverable)
+    : result.rua || []
+  const deliverableRuf = reportDestinations
+    ? reportDestinations.ruf.filter(destination => destination.deliverable)
+    : result.ruf || []
+
+  if (deliverableRua.length) {
     score.base += 1
     score.details.push('Aggregate reports configured (+1 point)')
+  } else if (result.rua?.length) {
+    warnings.push('rua is set but no destination can receive aggregate reports')
   } else {
     warnings.push('No rua tag configured – you will not receive aggregate reports.')
     recommendations.push('Add rua=mailto:dmarc-reports@yourdomain.com to receive aggregate reports')
   }
 
-  if (result.ruf?.length) {
+  if (deliverableRuf.length) {
     score.base += 1
     score.details.push('Forensic reports configured (+1 point)')
+  } else if (result.ruf?.length) {
+    warnings.push('ruf is set but no destination can receive failure reports')
   } else {
     recommendations.push('Consider adding ruf=mailto:dmarc-forensic@yourdomain.com for detailed failure reports')
   }
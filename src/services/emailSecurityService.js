@@ -1,19 +1,29 @@
 // src/services/emailSecurityService.js
 import { analyzeDMARC } from './dmarcService.js'
 import { analyzeSPF } from './spfService.js'
-import { analyzeDKIM } from './dkimService.js'
+import { analyzeDKIM, discoverDKIMSelectors } from './dkimService.js'
 import { analyzeMX } from './mxService.js'
+import { analyzeMTASTS } from './mtaStsService.js'
+import { analyzeBlocklists } from './blocklistService.js'
+import { recordScan } from './historyService.js'
+import { summarizeDNSSEC } from '../utils/dnssec.js'
 
 // Comprehensive Email Security Check
-export async function analyzeEmailSecurity(domain, dkimSelector = 'default') {
+// options.policyFetcher replaces the HTTPS fetch of the MTA-STS policy
+// options.blocklists: true (or { ipZones, domainZones }) adds the optional blocklist section
+// options.history === false skips storing the scan (see historyService)
+export async function analyzeEmailSecurity(domain, dkimSelector = null, options = {}) {
+  const blocklistOptions = options.blocklists === true ? {} : options.blocklists
   const results = await Promise.allSettled([
     analyzeDMARC(domain),
     analyzeSPF(domain),
-    analyzeDKIM(domain, dkimSelector),
-    analyzeMX(domain)
+    dkimSelector ? analyzeDKIM(domain, dkimSelector) : discoverDKIMSelectors(domain),
+    analyzeMX(domain),
+    analyzeMTASTS(domain, { fetcher: options.policyFetcher }),
+    blocklistOptions ? analyzeBlocklists(domain, blocklistOptions) : null
   ])
 
-  const [dmarcResult, spfResult, dkimResult, mxResult] = results.map(r => 
+  const [dmarcResult, spfResult, dkimResult, mxResult, mtaStsResult, blocklistResult] = results.map(r => 
     r.status === 'fulfilled' ? r.value : { success: false, error: r.reason.message }
   )
 
@@ -41,22 +51,70 @@ export async function analyzeEmailSecurity(domain, dkimSelector = 'default') {
     maxScore += mxResult.score.outOf
   }
 
+  if (mtaStsResult.success && mtaStsResult.score) {
+    totalScore += mtaStsResult.score.value
+    maxScore += mtaStsResult.score.outOf
+  }
+
+  if (blocklistResult?.success && blocklistResult.score) {
+    totalScore += blocklistResult.score.value
+    maxScore += blocklistResult.score.outOf
+  }
+
+  const dnssec = summarizeDNSSECSection([dmarcResult, spfResult, dkimResult, mxResult, mtaStsResult, blocklistResult])
+
   const overallScore = maxScore > 0 ? (totalScore / maxScore) * 10 : 0
   let securityLevel = 'Poor'
   if (overallScore >= 8) securityLevel = 'Excellent'
   else if (overallScore >= 6) securityLevel = 'Good'
   else if (overallScore >= 4) securityLevel = 'Fair'
 
-  return {
+  const report = {
     domain,
     dmarc: dmarcResult,
     spf: spfResult,
     dkim: dkimResult,
     mx: mxResult,
+    mtaSts: mtaStsResult,
+    ...(blocklistResult ? { blocklists: blocklistResult } : {}),
+    dnssec,
     overallScore: {
       value: Math.round(overallScore * 10) / 10,
       outOf: 10,
       level: securityLevel
     }
   }
+
+  const scan = options.history === false ? null : await recordScan(report)
+  return scan ? { ...report, scan } : report
+}
+
+// One DNSSEC verdict across every name the analyzers queried
+function summarizeDNSSECSection(results) {
+  const seen = new Set()
+  const records = results
+    .flatMap(result => result?.dnssec?.records || [])
+    .filter(record => {
+      const key = `${record.name.toLowerCase()}/${record.type}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+
+  const summary = summarizeDNSSEC(records)
+  const warnings = []
+  const recommendations = []
+
+  records
+    .filter(record => record.status === 'bogus')
+    .forEach(record => warnings.push(`${record.name} (${record.type}) fails DNSSEC validation – validating resolvers return SERVFAIL`))
+
+  if (summary.status === 'bogus') {
+    recommendations.push('Fix the broken DNSSEC chain (expired signatures or a DS record that does not match the DNSKEY) – validating receivers cannot resolve these names')
+  } else if (summary.status === 'insecure') {
+    warnings.push(`${records.filter(record => record.status === 'insecure').length} of ${records.length} queried names are not DNSSEC-signed`)
+    recommendations.push('Enable DNSSEC signing for the domain and publish the DS record at the registrar – it is a prerequisite for DANE')
+  }
+
+  return { ...summary, warnings, recommendations }
 }
@@ -0,0 +1,224 @@
+// src/services/historyService.js
+import { randomUUID } from 'crypto'
+import { appendScan, readScans } from '../utils/historyStore.js'
+
+// HISTORY_ENABLED=false stops recording new scans
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== 'false'
+const DEFAULT_HISTORY_LIMIT = 50
+
+const SECTION_LABELS = {
+  dmarc: 'DMARC',
+  spf: 'SPF',
+  dkim: 'DKIM',
+  mx: 'MX',
+  mtaSts: 'MTA-STS',
+  blocklists: 'Blocklists'
+}
+
+// Higher is stronger; used to tell improvements from regressions
+const RANKS = {
+  policy: { none: 0, quarantine: 1, reject: 2 },
+  mode: { none: 0, testing: 1, enforce: 2 },
+  dnssec: { bogus: 0, indeterminate: 1, insecure: 1, secure: 2 },
+  listed: { true: 0, false: 1 },
+  found: { false: 0, true: 1 }
+}
+
+// Store a compact snapshot of an analyzeEmailSecurity report: scores plus the raw records behind them
+// Returns { id, scannedAt }, or null when history is disabled or could not be written
+export async function recordScan(report) {
+  if (!HISTORY_ENABLED) return null
+
+  const snapshot = buildSnapshot(report, new Date().toISOString())
+  try {
+    await appendScan(snapshot.domain, snapshot)
+    return { id: snapshot.id, scannedAt: snapshot.scannedAt }
+  } catch (error) {
+    console.error(`Could not record scan for ${report.domain}:`, error)
+    return null
+  }
+}
+
+// Scans for a domain, newest first
+export async function getDomainHistory(domain, options = {}) {
+  try {
+    const limit = Math.max(Math.floor(Number(options.limit) || DEFAULT_HISTORY_LIMIT), 1)
+    const scans = await readScans(domain)
+
+    return {
+      success: true,
+      domain,
+      total: scans.length,
+      scans: scans.slice(-limit).reverse()
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain
+    }
+  }
+}
+
+// Compare two scans by id; by default the latest scan against the one before it
+export async function diffDomainScans(domain, options = {}) {
+  try {
+    const scans = await readScans(domain)
+    const toIndex = options.to ? scans.findIndex(scan => scan.id === options.to) : scans.length - 1
+    const fromIndex = options.from ? scans.findIndex(scan => scan.id === options.from) : toIndex - 1
+
+    if (options.to && toIndex === -1) {
+      return { success: false, error: `Scan ${options.to} not found`, domain }
+    }
+    if (options.from && fromIndex === -1) {
+      return { success: false, error: `Scan ${options.from} not found`, domain }
+    }
+    if (fromIndex < 0 || toIndex < 0) {
+      return { success: false, error: 'At least two scans are needed for a diff', domain, total: scans.length }
+    }
+
+    return {
+      success: true,
+      domain,
+      ...diffScans(scans[fromIndex], scans[toIndex])
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain
+    }
+  }
+}
+
+// Records and scores that changed from one snapshot to another
+export function diffScans(from, to) {
+  const changes = []
+  const sections = [...new Set([...Object.keys(from.sections), ...Object.keys(to.sections)])]
+
+  for (const key of sections) {
+    const label = SECTION_LABELS[key] || key
+    const before = from.sections[key]
+    const after = to.sections[key]
+
+    // Optional sections (blocklists) are only compared when both scans ran them
+    if (!before || !after) continue
+
+    if (before.found !== after.found) {
+      changes.push(change(key, 'found', before.found, after.found,
+        after.found ? `${label} now analyzes successfully` : `${label} failed: ${after.error || 'not found'}`))
+    }
+
+    const added = after.records.filter(record => !before.records.includes(record))
+    const removed = before.records.filter(record => !after.records.includes(record))
+    if (added.length || removed.length) {
+      changes.push({
+        section: key,
+        field: 'records',
+        added,
+        removed,
+        direction: 'changed',
+        description: `${label} records changed (${added.length} added, ${removed.length} removed)`
+      })
+    }
+
+    for (const field of ['policy', 'mode', 'nullMx', 'listed']) {
+      if (!(field in before) && !(field in after)) continue
+      if (before[field] !== after[field]) {
+        changes.push(change(key, field, before[field] ?? null, after[field] ?? null,
+          `${label} ${field} changed from ${before[field] ?? 'none'} to ${after[field] ?? 'none'}`))
+      }
+    }
+
+    const scoreBefore = before.score?.value ?? null
+    const scoreAfter = after.score?.value ?? null
+    if (scoreBefore !== scoreAfter) {
+      changes.push({
+        ...change(key, 'score', scoreBefore, scoreAfter, `${label} score changed from ${scoreBefore ?? 'n/a'} to ${scoreAfter ?? 'n/a'}`),
+        delta: scoreBefore !== null && scoreAfter !== null ? round(scoreAfter - scoreBefore) : null
+      })
+    }
+  }
+
+  if (from.dnssec !== to.dnssec) {
+    changes.push(change('dnssec', 'dnssec', from.dnssec, to.dnssec, `DNSSEC status changed from ${from.dnssec} to ${to.dnssec}`))
+  }
+
+  return {
+    from: { id: from.id, scannedAt: from.scannedAt, overallScore: from.overallScore },
+    to: { id: to.id, scannedAt: to.scannedAt, overallScore: to.overallScore },
+    changed: changes.length > 0,
+    overallScore: {
+      from: from.overallScore.value,
+      to: to.overallScore.value,
+      delta: round(to.overallScore.value - from.overallScore.value)
+    },
+    changes,
+    regressions: changes.filter(entry => entry.direction === 'regressed').length
+  }
+}
+
+function buildSnapshot(report, scannedAt) {
+  const { dmarc, spf, dkim, mx, mtaSts, blocklists } = report
+
+  return {
+    id: randomUUID(),
+    domain: report.domain,
+    scannedAt,
+    overallScore: report.overallScore,
+    dnssec: report.dnssec?.status || null,
+    sections: {
+      dmarc: section(dmarc, {
+        records: dmarc?.rawRecord ? [dmarc.rawRecord] : [],
+        policy: dmarc?.effectivePolicy?.policy || null
+      }),
+      spf: section(spf, {
+        records: spf?.allRecords || (spf?.rawRecord ? [spf.rawRecord] : [])
+      }),
+      dkim: section(dkim, {
+        records: dkim?.mode === 'discovery'
+          ? (dkim.selectors || []).map(entry => `${entry.selector}: ${entry.rawRecord}`)
+          : dkim?.rawRecord ? [`${dkim.selector}: ${dkim.rawRecord}`] : []
+      }),
+      mx: section(mx, {
+        records: (mx?.records || []).map(record => `${record.priority} ${record.exchange}`),
+        nullMx: Boolean(mx?.nullMx)
+      }),
+      mtaSts: section(mtaSts, {
+        records: [mtaSts?.record?.raw, mtaSts?.policy?.raw].filter(Boolean),
+        mode: mtaSts?.policy?.mode || null
+      }),
+      ...(blocklists ? { blocklists: section(blocklists, { records: [], listed: blocklists.listed ?? null }) } : {})
+    }
+  }
+}
+
+function section(result, fields) {
+  return {
+    found: Boolean(result?.success),
+    error: result?.success ? null : result?.error || null,
+    score: result?.score ? { value: result.score.value, outOf: result.score.outOf, level: result.score.level } : null,
+    ...fields
+  }
+}
+
+function change(section, field, from, to, description) {
+  return { section, field, from, to, direction: direction(field, from, to), description }
+}
+
+function direction(field, from, to) {
+  if (field === 'score') {
+    if (from === null || to === null) return 'changed'
+    return to > from ? 'improved' : 'regressed'
+  }
+
+  const ranks = RANKS[field]
+  const before = ranks?.[String(from)]
+  const after = ranks?.[String(to)]
+  if (before === undefined || after === undefined || before === after) return 'changed'
+  return after > before ? 'improved' : 'regressed'
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10
+}
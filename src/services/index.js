@@ -2,7 +2,21 @@
 // Central export file for all email authentication services
 
 export { analyzeDMARC } from './dmarcService.js'
+export { analyzeAggregateReports, analyzeFailureReports } from './dmarcReportService.js'
 export { analyzeSPF } from './spfService.js'
-export { analyzeDKIM } from './dkimService.js'
+export { checkSPF } from './spfCheckService.js'
+export { flattenSPF } from './spfFlattenService.js'
+export { analyzeDKIM, discoverDKIMSelectors } from './dkimService.js'
+export { generateDKIMKeyPair, verifyDKIMKey } from './dkimKeyService.js'
 export { analyzeMX } from './mxService.js'
+export { probeSMTP } from './smtpProbeService.js'
+export { analyzeMTASTS } from './mtaStsService.js'
+export { analyzeBIMI } from './bimiService.js'
+export { analyzeBlocklists } from './blocklistService.js'
+export { analyzeDANE, matchTLSA } from './daneService.js'
 export { analyzeEmailSecurity } from './emailSecurityService.js'
+export { analyzeBulk, summarizeBulk } from './bulkService.js'
+export { createJob, getJob, resumeJobs, expireJobs } from './jobService.js'
+export { recordScan, getDomainHistory, diffDomainScans, diffScans } from './historyService.js'
+export { analyzeMessage } from './messageService.js'
+export { generateRecord, fixRecord } from './recordGeneratorService.js'
@@ -0,0 +1,182 @@
+// src/services/jobService.js
+import { randomUUID } from 'crypto'
+import { analyzeEmailSecurity } from './emailSecurityService.js'
+import { analyzeBulk, summarizeBulk } from './bulkService.js'
+import { saveJob, loadJob, listJobs, appendJobResult, readJobResults, replaceJobResults, deleteJob } from '../utils/jobStore.js'
+
+// JOBS_CONCURRENCY jobs run at once; finished jobs are deleted after JOBS_RETENTION_HOURS
+const JOBS_CONCURRENCY = Math.max(Number(process.env.JOBS_CONCURRENCY) || 2, 1)
+const JOBS_RETENTION_MS = (Number(process.env.JOBS_RETENTION_HOURS) || 24 * 7) * 60 * 60 * 1000
+// Progress is written at most this often; state changes are written immediately
+const PROGRESS_SAVE_INTERVAL_MS = 1000
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000
+
+const queue = []
+const active = new Map()
+let running = 0
+let sweepTimer = null
+
+// Enqueue an analysis and return the job right away
+// request: { domain } for one comprehensive analysis, or { domains: [...] } for a bulk run
+// request.options: { dkimSelector, blocklists, concurrency } as accepted by analyzeEmailSecurity / analyzeBulk
+export async function createJob(request) {
+  const bulk = Array.isArray(request.domains)
+  const now = new Date().toISOString()
+  const job = {
+    id: randomUUID(),
+    type: bulk ? 'bulk' : 'single',
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    request: bulk
+      ? { domains: request.domains, options: request.options || {} }
+      : { domain: request.domain, options: request.options || {} },
+    progress: { total: bulk ? request.domains.length : 1, completed: 0 },
+    result: null,
+    error: null
+  }
+
+  await saveJob(job)
+  enqueue(job)
+  return describeJob(job)
+}
+
+// Current state of a job, from memory while it runs and from the store otherwise
+// options.results === false leaves out the per-domain results of bulk jobs
+export async function getJob(id, options = {}) {
+  const job = active.get(id) || await loadJob(id)
+  if (!job) return null
+
+  const view = describeJob(job)
+  if (job.type === 'bulk' && options.results !== false) {
+    view.results = (await readJobResults(id)).sort((a, b) => a.index - b.index)
+  }
+  return view
+}
+
+// Re-queue jobs that were queued or running when the process stopped, delete expired ones,
+// and keep deleting expired jobs every hour while the process runs
+export async function resumeJobs() {
+  const jobs = await listJobs()
+  let resumed = 0
+
+  for (const job of jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+    if (!['completed', 'failed'].includes(job.status) && !active.has(job.id)) {
+      job.status = 'queued'
+      job.resumedAt = new Date().toISOString()
+      await saveJob(job)
+      enqueue(job)
+      resumed++
+    }
+  }
+
+  await expireJobs(jobs)
+  if (!sweepTimer) {
+    sweepTimer = setInterval(() => {
+      expireJobs().catch(error => console.error('Job expiry sweep failed:', error))
+    }, EXPIRY_SWEEP_INTERVAL_MS)
+    sweepTimer.unref()
+  }
+
+  return { resumed, total: jobs.length }
+}
+
+// Delete finished jobs older than JOBS_RETENTION_HOURS
+export async function expireJobs(jobs) {
+  const expired = Date.now() - JOBS_RETENTION_MS
+  let deleted = 0
+
+  for (const job of jobs || await listJobs()) {
+    if (['completed', 'failed'].includes(job.status) && Date.parse(job.finishedAt || job.updatedAt) < expired) {
+      await deleteJob(job.id)
+      deleted++
+    }
+  }
+
+  return deleted
+}
+
+function enqueue(job) {
+  active.set(job.id, job)
+  queue.push(job)
+  drain()
+}
+
+function drain() {
+  while (running < JOBS_CONCURRENCY && queue.length > 0) {
+    const job = queue.shift()
+    running++
+    runJob(job)
+      .catch(error => console.error(`Job ${job.id} could not be saved:`, error))
+      .finally(() => {
+        running--
+        active.delete(job.id)
+        drain()
+      })
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running'
+  job.startedAt = new Date().toISOString()
+  await persist(job, true)
+
+  try {
+    job.result = job.type === 'bulk'
+      ? await runBulk(job)
+      : await analyzeEmailSecurity(job.request.domain, job.request.options.dkimSelector || null, { blocklists: job.request.options.blocklists })
+    job.progress.completed = job.progress.total
+    job.status = 'completed'
+  } catch (error) {
+    job.status = 'failed'
+    job.error = error.message
+  }
+
+  job.finishedAt = new Date().toISOString()
+  await persist(job, true)
+}
+
+// Domains finished before a restart are kept and skipped
+async function runBulk(job) {
+  const { domains, options } = job.request
+  const entries = await readJobResults(job.id)
+  if (entries.length) await replaceJobResults(job.id, entries)
+  const done = new Set(entries.map(entry => entry.index))
+  const remaining = domains.map((domain, index) => ({ domain, index })).filter(item => !done.has(item.index))
+  job.progress.completed = entries.length
+
+  await analyzeBulk(remaining.map(item => item.domain), {
+    ...options,
+    onResult: async entry => {
+      const stored = { ...entry, index: remaining[entry.index].index }
+      await appendJobResult(job.id, stored)
+      entries.push(stored)
+      job.progress.completed = entries.length
+      await persist(job)
+    }
+  })
+
+  return summarizeBulk(entries, domains.length)
+}
+
+async function persist(job, force = false) {
+  const now = Date.now()
+  if (!force && now - (job.savedAt || 0) < PROGRESS_SAVE_INTERVAL_MS) return
+
+  job.updatedAt = new Date(now).toISOString()
+  job.savedAt = now
+  await saveJob(job)
+}
+
+function describeJob(job) {
+  const { savedAt, ...view } = job
+  return {
+    ...view,
+    progress: {
+      ...job.progress,
+      percent: job.progress.total ? Math.round(job.progress.completed / job.progress.total * 100) : 0
+    }
+  }
+}
@@ -0,0 +1,251 @@
+// src/services/messageService.js
+import mailauth from 'mailauth'
+import { resolver } from '../utils/dnsResolver.js'
+
+// mailauth expects a dns.resolve-style (name, type) function
+const mailauthResolver = (name, type) => resolver.resolve(name, type)
+
+// Message Authentication Analysis
+export async function analyzeMessage(message, options = {}) {
+  try {
+    const { ip, helo, mailFrom } = options
+
+    const authResult = await mailauth.authenticate(message, {
+      ip,
+      helo,
+      sender: mailFrom,
+      // Fill in any connection details not supplied from the Received and Return-Path headers
+      trustReceived: true,
+      mta: options.mta,
+      resolver: mailauthResolver
+    })
+
+    const dkimResult = summarizeDKIM(authResult.dkim)
+    const spfResult = summarizeSPF(authResult.spf)
+    const dmarcResult = summarizeDMARC(authResult.dmarc)
+    const arcResult = summarizeARC(authResult.arc)
+    const bimiResult = summarizeBIMI(authResult.bimi)
+
+    // Calculate overall authentication score
+    let totalScore = 0
+    let maxScore = 0
+
+    for (const result of [dmarcResult, spfResult, dkimResult]) {
+      totalScore += result.score.value
+      maxScore += result.score.outOf
+    }
+
+    const overallScore = maxScore > 0 ? (totalScore / maxScore) * 10 : 0
+
+    return {
+      success: true,
+      headerFrom: authResult.dkim?.headerFrom || [],
+      envelopeFrom: authResult.dkim?.envelopeFrom || mailFrom || null,
+      clientIp: authResult.spf ? authResult.spf['client-ip'] : ip || null,
+      dkim: dkimResult,
+      spf: spfResult,
+      dmarc: dmarcResult,
+      arc: arcResult,
+      bimi: bimiResult,
+      authenticationResults: authResult.headers,
+      overallScore: {
+        value: Math.round(overallScore * 10) / 10,
+        outOf: 10,
+        level: levelFor(overallScore, 10)
+      }
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+function summarizeDKIM(dkim) {
+  const warnings = []
+  const recommendations = []
+  const details = []
+
+  const signatures = (dkim?.results || [])
+    .filter(result => result.signingDomain)
+    .map(result => ({
+      domain: result.signingDomain,
+      selector: result.selector,
+      algorithm: result.algo,
+      canonicalization: result.format,
+      result: result.status?.result,
+      comment: result.status?.comment || null,
+      aligned: result.status?.aligned || false,
+      keyBits: result.modulusLength || null,
+      bodyLengthLimited: Boolean(result.canonBodyLengthLimited),
+      signTime: result.signTime || null,
+      info: result.info
+    }))
+
+  let value = 0
+  const passing = signatures.filter(signature => signature.result === 'pass')
+  const alignedPass = passing.find(signature => signature.aligned)
+
+  if (signatures.length === 0) {
+    warnings.push('Message is not DKIM signed')
+    recommendations.push('Enable DKIM signing with your sending provider')
+  } else if (alignedPass) {
+    value = 5
+    details.push(`Aligned DKIM signature from ${alignedPass.domain} passes (+5 points)`)
+  } else if (passing.length > 0) {
+    value = 3
+    details.push(`DKIM signature from ${passing[0].domain} passes but is not aligned with From (+3 points)`)
+    recommendations.push('Sign with your own domain (d=) so DKIM aligns with the From header')
+  } else {
+    warnings.push('No DKIM signature verified')
+  }
+
+  signatures
+    .filter(signature => signature.result !== 'pass')
+    .forEach(signature => warnings.push(`DKIM signature from ${signature.domain} (s=${signature.selector}): ${signature.result}${signature.comment ? ` – ${signature.comment}` : ''}`))
+
+  signatures
+    .filter(signature => signature.bodyLengthLimited)
+    .forEach(signature => warnings.push(`DKIM signature from ${signature.domain} uses l= and only covers part of the body`))
+
+  return {
+    success: Boolean(alignedPass || passing.length),
+    signatures,
+    warnings,
+    recommendations,
+    score: buildScore(value, 5, details)
+  }
+}
+
+function summarizeSPF(spf) {
+  const warnings = []
+  const recommendations = []
+  const details = []
+  const result = spf?.status?.result || 'none'
+
+  let value = 0
+  switch (result) {
+    case 'pass':
+      value = 5
+      details.push('SPF pass (+5 points)')
+      break
+    case 'neutral':
+    case 'softfail':
+      value = 1
+      details.push(`SPF ${result} (+1 point)`)
+      warnings.push(`Sending IP is not authorized by SPF (${result})`)
+      recommendations.push(`Add ${spf?.['client-ip'] || 'the sending IP'} or its provider include to the SPF record`)
+      break
+    case 'none':
+      warnings.push('No SPF record for the MAIL FROM domain')
+      break
+    default:
+      warnings.push(`SPF ${result}${spf?.status?.comment ? ` – ${spf.status.comment}` : ''}`)
+  }
+
+  return {
+    success: result === 'pass',
+    result,
+    comment: spf?.status?.comment || null,
+    domain: spf?.domain || null,
+    clientIp: spf?.['client-ip'] || null,
+    helo: spf?.helo || null,
+    mailFrom: spf?.['envelope-from'] || null,
+    rawRecord: spf?.rr || null,
+    lookups: spf?.lookups || null,
+    warnings,
+    recommendations,
+    score: buildScore(value, 5, details)
+  }
+}
+
+function summarizeDMARC(dmarc) {
+  const warnings = []
+  const recommendations = []
+  const details = []
+  const result = dmarc?.status?.result || 'none'
+
+  const alignment = {
+    spf: {
+      aligned: Boolean(dmarc?.alignment?.spf?.result),
+      domain: dmarc?.alignment?.spf?.result || null,
+      strict: Boolean(dmarc?.alignment?.spf?.strict)
+    },
+    dkim: {
+      aligned: Boolean(dmarc?.alignment?.dkim?.result),
+      domain: dmarc?.alignment?.dkim?.result || null,
+      strict: Boolean(dmarc?.alignment?.dkim?.strict)
+    }
+  }
+
+  let value = 0
+  if (result === 'pass') {
+    value = 10
+    details.push('DMARC pass (+10 points)')
+    if (!alignment.dkim.aligned) {
+      recommendations.push('DMARC passes on SPF only – aligned DKIM survives forwarding, SPF does not')
+    }
+  } else if (result === 'none') {
+    warnings.push('The From domain has no DMARC policy')
+    recommendations.push('Publish a DMARC record for the From domain')
+  } else {
+    warnings.push(`DMARC ${result}: neither SPF nor DKIM is aligned with ${dmarc?.domain || 'the From domain'}`)
+    if (dmarc?.policy && dmarc.policy !== 'none') {
+      warnings.push(`Receivers will apply p=${dmarc.policy} to this message`)
+    }
+  }
+
+  return {
+    success: result === 'pass',
+    result,
+    comment: dmarc?.status?.comment || null,
+    domain: dmarc?.domain || null,
+    policy: dmarc?.policy || null,
+    p: dmarc?.p || null,
+    sp: dmarc?.sp || null,
+    rawRecord: dmarc?.rr || null,
+    alignment,
+    warnings,
+    recommendations,
+    score: buildScore(value, 10, details)
+  }
+}
+
+function summarizeARC(arc) {
+  const result = arc?.status?.result || 'none'
+  return {
+    result,
+    comment: arc?.status?.comment || null,
+    instance: arc?.i || 0,
+    sealingDomain: arc?.signature?.signingDomain || null,
+    authenticationResults: arc?.authenticationResults || null
+  }
+}
+
+function summarizeBIMI(bimi) {
+  return {
+    result: bimi?.status?.result || 'none',
+    comment: bimi?.status?.comment || null,
+    location: bimi?.location || null,
+    authority: bimi?.authority || null,
+    info: bimi?.info || null
+  }
+}
+
+function buildScore(value, outOf, details) {
+  return {
+    value: Math.round(value * 10) / 10,
+    outOf,
+    level: levelFor(value, outOf),
+    details
+  }
+}
+
+function levelFor(value, outOf) {
+  const ratio = value / outOf
+  if (ratio >= 0.8) return 'Excellent'
+  if (ratio >= 0.6) return 'Good'
+  if (ratio >= 0.4) return 'Fair'
+  return 'Poor'
+}
@@ -0,0 +1,340 @@
+// src/services/mtaStsService.js
+import { dnssecSummary } from '../utils/dnssec.js'
+import { resolver } from '../utils/dnsResolver.js'
+import { readLimitedBody } from '../utils/responseBody.js'
+
+// RFC 8461 limits
+const MAX_POLICY_AGE = 31557600
+const RECOMMENDED_MIN_POLICY_AGE = 604800
+const MAX_POLICY_BYTES = 64 * 1024
+const POLICY_FETCH_TIMEOUT_MS = 10000
+const POLICY_MODES = ['enforce', 'testing', 'none']
+
+// Fetch the policy over HTTPS; redirects are not allowed (RFC 8461 §3.3)
+export async function defaultPolicyFetcher(url) {
+  const response = await fetch(url, {
+    redirect: 'manual',
+    signal: AbortSignal.timeout(POLICY_FETCH_TIMEOUT_MS)
+  })
+
+  const body = await readLimitedBody(response, MAX_POLICY_BYTES)
+  return {
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+    body: body.toString('utf8')
+  }
+}
+
+// MTA-STS and TLS-RPT Analysis
+// options.fetcher(url) => { status, contentType, body } replaces the HTTPS policy fetch
+export async function analyzeMTASTS(domain, options = {}) {
+  try {
+    const fetcher = options.fetcher || defaultPolicyFetcher
+    const warnings = []
+    const recommendations = []
+    const details = []
+    let value = 0
+
+    const [record, tlsRpt, mxHosts, dnssec] = await Promise.all([
+      lookupMTASTSRecord(domain),
+      lookupTLSRPTRecord(domain),
+      lookupMXHosts(domain),
+      dnssecSummary([
+        { name: `_mta-sts.${domain}`, type: 'TXT' },
+        { name: `_smtp._tls.${domain}`, type: 'TXT' },
+        { name: `mta-sts.${domain}`, type: 'A' }
+      ])
+    ])
+
+    let policy = null
+    let mxCoverage = null
+
+    if (!record.found) {
+      warnings.push(record.error || 'No MTA-STS record found')
+      recommendations.push(`Publish "v=STSv1; id=<policy-id>" at _mta-sts.${domain} and serve a policy at https://mta-sts.${domain}/.well-known/mta-sts.txt`)
+    } else {
+      record.errors.forEach(error => warnings.push(`MTA-STS record: ${error}`))
+      policy = await fetchPolicy(domain, fetcher)
+      policy.errors.forEach(error => warnings.push(`MTA-STS policy: ${error}`))
+      policy.warnings.forEach(warning => warnings.push(`MTA-STS policy: ${warning}`))
+
+      if (record.valid && policy.valid) {
+        value += 1
+        details.push('Valid MTA-STS record and policy (+1 point)')
+
+        if (policy.mode === 'enforce') {
+          value += 1
+          details.push('Policy mode enforce (+1 point)')
+        } else if (policy.mode === 'testing') {
+          value += 0.5
+          details.push('Policy mode testing (+0.5 points)')
+          recommendations.push('Switch the MTA-STS policy to "mode: enforce" once TLS reports show no failures')
+        } else {
+          warnings.push('MTA-STS policy mode is none – senders will not require TLS')
+        }
+
+        if (policy.maxAge < RECOMMENDED_MIN_POLICY_AGE) {
+          recommendations.push(`Raise max_age to at least ${RECOMMENDED_MIN_POLICY_AGE} seconds (1 week) so senders cache the policy`)
+        }
+
+        mxCoverage = checkMXCoverage(mxHosts, policy.mx)
+        if (mxHosts.length > 0 && mxCoverage.unmatched.length === 0) {
+          value += 0.5
+          details.push('All MX hosts covered by the policy (+0.5 points)')
+        } else if (mxCoverage.unmatched.length > 0) {
+          warnings.push(`MX host(s) not covered by the policy: ${mxCoverage.unmatched.join(', ')}${policy.mode === 'enforce' ? ' – senders will refuse to deliver to them' : ''}`)
+          recommendations.push(`Add matching "mx:" lines for ${mxCoverage.unmatched.join(', ')}`)
+        }
+      }
+    }
+
+    if (tlsRpt.found && tlsRpt.valid) {
+      value += 0.5
+      details.push('TLS-RPT reporting configured (+0.5 points)')
+    } else if (tlsRpt.found) {
+      tlsRpt.errors.forEach(error => warnings.push(`TLS-RPT record: ${error}`))
+    } else {
+      recommendations.push(`Publish "v=TLSRPTv1; rua=mailto:tls-reports@${domain}" at _smtp._tls.${domain} to receive TLS failure reports`)
+    }
+
+    const finalScore = Math.max(Math.min(value, 3), 0)
+    let securityLevel = 'Poor'
+    if (finalScore >= 2.5) securityLevel = 'Excellent'
+    else if (finalScore >= 2) securityLevel = 'Good'
+    else if (finalScore >= 1) securityLevel = 'Fair'
+
+    return {
+      success: true,
+      domain,
+      enabled: Boolean(record.found && policy?.valid && policy.mode !== 'none'),
+      record,
+      policy,
+      mxHosts,
+      mxCoverage,
+      tlsRpt,
+      dnssec,
+      warnings,
+      recommendations,
+      score: {
+        value: Math.round(finalScore * 10) / 10,
+        outOf: 3,
+        level: securityLevel,
+        details
+      }
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain
+    }
+  }
+}
+
+// Parse an RFC 8461 §3.2 policy file
+export function parseMTASTSPolicy(text) {
+  const errors = []
+  const warnings = []
+  const fields = {}
+  const mx = []
+
+  if (Buffer.byteLength(text) > MAX_POLICY_BYTES) {
+    errors.push(`Policy is larger than ${MAX_POLICY_BYTES} bytes`)
+  }
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return
+
+    const separator = line.indexOf(':')
+    if (separator === -1) {
+      errors.push(`Line ${index + 1}: expected "key: value"`)
+      return
+    }
+
+    const key = line.slice(0, separator).trim()
+    const value = line.slice(separator + 1).trim()
+
+    if (key === 'mx') {
+      if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+\.?$/i.test(value)) {
+        errors.push(`Line ${index + 1}: invalid mx pattern "${value}"`)
+      }
+      mx.push(value.toLowerCase().replace(/\.$/, ''))
+    } else if (Object.prototype.hasOwnProperty.call(fields, key)) {
+      warnings.push(`Line ${index + 1}: duplicate "${key}" ignored`)
+    } else {
+      fields[key] = value
+    }
+  })
+
+  if (fields.version !== 'STSv1') {
+    errors.push(fields.version ? `Unsupported version "${fields.version}" (expected STSv1)` : 'Missing "version: STSv1"')
+  }
+
+  const mode = fields.mode ? fields.mode.toLowerCase() : null
+  if (!mode) {
+    errors.push('Missing "mode"')
+  } else if (!POLICY_MODES.includes(mode)) {
+    errors.push(`Invalid mode "${fields.mode}" (expected enforce, testing or none)`)
+  }
+
+  let maxAge = null
+  if (fields.max_age === undefined) {
+    errors.push('Missing "max_age"')
+  } else if (!/^\d{1,10}$/.test(fields.max_age) || Number(fields.max_age) > MAX_POLICY_AGE) {
+    errors.push(`max_age "${fields.max_age}" must be an integer from 0 to ${MAX_POLICY_AGE}`)
+  } else {
+    maxAge = Number(fields.max_age)
+  }
+
+  if (mx.length === 0 && mode !== 'none') {
+    errors.push('At least one "mx" line is required unless mode is none')
+  }
+
+  return {
+    version: fields.version || null,
+    mode,
+    maxAge,
+    mx,
+    errors,
+    warnings,
+    valid: errors.length === 0
+  }
+}
+
+// A "*." pattern matches exactly one leftmost label (RFC 8461 §4.1)
+export function mxMatchesPattern(host, pattern) {
+  const name = host.toLowerCase().replace(/\.$/, '')
+  if (pattern.startsWith('*.')) {
+    const suffix = pattern.slice(1)
+    return name.endsWith(suffix) && !name.slice(0, -suffix.length).includes('.') && name.length > suffix.length
+  }
+  return name === pattern
+}
+
+async function lookupMTASTSRecord(domain) {
+  const name = `_mta-sts.${domain}`
+  const records = await lookupTXT(name)
+  const matching = records.filter(txt => /^v=STSv1(;|\s|$)/.test(txt))
+
+  if (matching.length === 0) {
+    return { name, found: false, valid: false, errors: [] }
+  }
+
+  if (matching.length > 1) {
+    return { name, found: true, valid: false, records: matching, errors: ['Multiple MTA-STS records published; senders treat this as no policy'] }
+  }
+
+  const tags = parseTagList(matching[0])
+  const errors = []
+  if (!tags.id) {
+    errors.push('Missing "id=" tag')
+  } else if (!/^[a-z0-9]{1,32}$/i.test(tags.id)) {
+    errors.push(`id "${tags.id}" must be 1–32 letters or digits`)
+  }
+
+  return { name, found: true, valid: errors.length === 0, raw: matching[0], id: tags.id || null, errors }
+}
+
+async function lookupTLSRPTRecord(domain) {
+  const name = `_smtp._tls.${domain}`
+  const records = await lookupTXT(name)
+  const matching = records.filter(txt => /^v=TLSRPTv1(;|\s|$)/.test(txt))
+
+  if (matching.length === 0) {
+    return { name, found: false, valid: false, errors: [] }
+  }
+
+  if (matching.length > 1) {
+    return { name, found: true, valid: false, records: matching, errors: ['Multiple TLS-RPT records published'] }
+  }
+
+  const tags = parseTagList(matching[0])
+  const errors = []
+  const rua = tags.rua ? tags.rua.split(',').map(uri => uri.trim()).filter(Boolean) : []
+
+  if (rua.length === 0) {
+    errors.push('Missing "rua=" reporting address')
+  }
+  rua
+    .filter(uri => !/^mailto:[^@\s]+@[^@\s]+$/i.test(uri) && !/^https:\/\/\S+$/i.test(uri))
+    .forEach(uri => errors.push(`Invalid reporting URI "${uri}" (expected mailto: or https:)`))
+
+  return { name, found: true, valid: errors.length === 0, raw: matching[0], rua, errors }
+}
+
+async function fetchPolicy(domain, fetcher) {
+  const url = `https://mta-sts.${domain}/.well-known/mta-sts.txt`
+  const result = { url, fetched: false, errors: [], warnings: [], valid: false }
+
+  let response
+  try {
+    response = await fetcher(url)
+  } catch (error) {
+    result.errors.push(`Could not fetch ${url}: ${error.cause?.message || error.message}`)
+    return result
+  }
+
+  result.status = response.status
+  if (response.status >= 300 && response.status < 400) {
+    result.errors.push(`${url} redirects, which senders must not follow`)
+    return result
+  }
+  if (response.status !== 200) {
+    result.errors.push(`${url} returned HTTP ${response.status}`)
+    return result
+  }
+
+  result.fetched = true
+  if (!/^text\/plain\b/i.test(response.contentType || '')) {
+    result.warnings.push(`Policy is served as "${response.contentType || 'no content type'}" instead of text/plain`)
+  }
+
+  const parsed = parseMTASTSPolicy(String(response.body))
+  return {
+    ...result,
+    ...parsed,
+    errors: [...result.errors, ...parsed.errors],
+    warnings: [...result.warnings, ...parsed.warnings],
+    raw: String(response.body)
+  }
+}
+
+function checkMXCoverage(mxHosts, patterns) {
+  const matched = []
+  const unmatched = []
+  for (const host of mxHosts) {
+    const pattern = patterns.find(candidate => mxMatchesPattern(host, candidate))
+    if (pattern) matched.push({ host, pattern })
+    else unmatched.push(host)
+  }
+  return { matched, unmatched }
+}
+
+async function lookupMXHosts(domain) {
+  try {
+    const records = await resolver.resolveMx(domain)
+    return records.sort((a, b) => a.priority - b.priority).map(record => record.exchange.toLowerCase())
+  } catch (error) {
+    return []
+  }
+}
+
+async function lookupTXT(name) {
+  try {
+    const records = await resolver.resolveTxt(name)
+    return records.map(parts => parts.join(''))
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return []
+    throw error
+  }
+}
+
+function parseTagList(record) {
+  const tags = {}
+  for (const part of record.split(';')) {
+    const separator = part.indexOf('=')
+    if (separator === -1) continue
+    tags[part.slice(0, separator).trim()] = part.slice(separator + 1).trim()
+  }
+  return tags
+}
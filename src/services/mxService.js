@@ -1,12 +1,16 @@
 // src/services/mxService.js
-import { Resolver } from 'dns/promises'
-
-// DNS resolver (Google + Cloudflare)
-const resolver = new Resolver()
-resolver.setServers(['8.8.8.8', '1.1.1.1'])
+import { isIP } from 'net'
+import { probeSMTP } from './smtpProbeService.js'
+import { parseCIDR, reservedRange } from '../utils/cidr.js'
+import { dnssecSummary, summarizeDNSSEC } from '../utils/dnssec.js'
+import { resolver } from '../utils/dnsResolver.js'
 
 // MX Analysis
-export async function analyzeMX(domain) {
+// options.deep connects to every MX host (see probeSMTP for options.target, options.ca and options.timeout)
+// Probes connect only to public addresses checked here; hosts without one are skipped unless options.target redirects the probes
+export async function analyzeMX(domain, options = {}) {
+  const domainDNSSEC = dnssecSummary([{ name: domain, type: 'MX' }])
+
   try {
     const mxRecords = await resolver.resolveMx(domain)
     
@@ -15,6 +19,7 @@ export async function analyzeMX(domain) {
         success: false,
         error: 'No MX records found',
         domain,
+        dnssec: await domainDNSSEC,
         recommendations: [
           'Add MX records to enable email delivery to your domain',
           'MX records specify which mail servers handle email for your domain'
@@ -24,32 +29,88 @@ export async function analyzeMX(domain) {
 
     // Sort by priority (lower numbers = higher priority)
     const sortedMx = mxRecords.sort((a, b) => a.priority - b.priority)
-    
-    const analysis = analyzeMXRecords(sortedMx)
+
+    // RFC 7505 null MX: a single "0 ." record declares that the domain accepts no mail
+    const nullMx = sortedMx.filter(record => isNullExchange(record.exchange))
+    if (nullMx.length && nullMx.length === sortedMx.length) {
+      return {
+        success: true,
+        domain,
+        records: sortedMx,
+        nullMx: true,
+        dnssec: await domainDNSSEC,
+        ...analyzeNullMX(sortedMx)
+      }
+    }
+
+    const exchanges = [...new Set(sortedMx.filter(record => !isNullExchange(record.exchange)).map(record => record.exchange.toLowerCase()))]
+    const [hosts, domainStatus, exchangeStatus] = await Promise.all([
+      Promise.all(exchanges.map(resolveExchange)),
+      domainDNSSEC,
+      dnssecSummary(exchanges.map(exchange => ({ name: exchange, type: 'A' })))
+    ])
+    const dnssec = summarizeDNSSEC([...domainStatus.records, ...exchangeStatus.records])
+
+    const analysis = analyzeMXRecords(sortedMx, hosts)
+    if (nullMx.length) {
+      analysis.warnings.unshift('Null MX (RFC 7505) is mixed with other MX records; it must be the only record, so senders may ignore it')
+      analysis.recommendations.push('Remove the "0 ." record if the domain accepts mail, or remove every other MX record if it does not')
+    }
+
+    if (!options.deep) {
+      return {
+        success: true,
+        domain,
+        records: sortedMx,
+        nullMx: false,
+        hosts,
+        dnssec,
+        ...analysis
+      }
+    }
+
+    const probes = await Promise.all(hosts.map(async host => {
+      const addresses = probeAddresses(host)
+      if (!options.target && addresses.length === 0) {
+        return {
+          host: host.exchange,
+          probed: false,
+          skipped: host.resolves ? 'reserved address' : 'does not resolve',
+          addresses: [...host.ipv4, ...host.ipv6]
+        }
+      }
+      return { ...(await probeSMTP(host.exchange, { ...options, addresses })), probed: true }
+    }))
 
     return {
       success: true,
       domain,
       records: sortedMx,
-      ...analysis
+      nullMx: false,
+      hosts,
+      probes,
+      dnssec,
+      ...scoreProbes(analysis, probes)
     }
   } catch (error) {
     return {
       success: false,
       error: error.message,
-      domain
+      domain,
+      dnsStatus: error.status,
+      dnssec: await domainDNSSEC
     }
   }
 }
 
-function analyzeMXRecords(records) {
+function analyzeMXRecords(records, hosts) {
   const score = { base: 0, details: [] }
   const warnings = []
   const recommendations = []
 
   if (records.length === 0) {
     warnings.push('No MX records found')
-    return { score: { value: 0, outOf: 3, level: 'Poor' }, warnings, recommendations }
+    return { score: { value: 0, outOf: 6, level: 'Poor' }, warnings, recommendations }
   }
 
   score.base += 1
@@ -73,20 +134,214 @@ function analyzeMXRecords(records) {
     warnings.push('Some MX records have the same priority')
   }
 
-  const finalScore = Math.max(Math.min(score.base, 3), 0)
+  // Exchange host hygiene
+  const dangling = hosts.filter(host => !host.resolves)
+  const resolving = hosts.filter(host => host.resolves)
+
+  if (dangling.length === 0) {
+    score.base += 1
+    score.details.push('All MX hosts resolve (+1 point)')
+  } else {
+    dangling.forEach(host => warnings.push(`MX host ${host.exchange} does not resolve to any address – mail routed to it will be deferred or bounce`))
+    recommendations.push(`Fix or remove the dangling MX record(s): ${dangling.map(host => host.exchange).join(', ')}`)
+  }
+
+  const literals = hosts.filter(host => host.ipLiteral)
+  const aliases = hosts.filter(host => host.cname)
+  if (literals.length === 0 && aliases.length === 0) {
+    score.base += 0.5
+    score.details.push('MX records name real hosts (+0.5 points)')
+  }
+  literals.forEach(host => warnings.push(`MX record ${host.exchange} is an IP address; RFC 5321 requires a host name and many senders reject it`))
+  aliases.forEach(host => warnings.push(`MX host ${host.exchange} is a CNAME to ${host.cname}; RFC 2181 §10.3 forbids MX records pointing at aliases`))
+  if (literals.length || aliases.length) {
+    recommendations.push('Point every MX record at a host name with its own A/AAAA records')
+  }
+
+  const reserved = resolving.flatMap(host => host.reserved.map(entry => ({ ...entry, exchange: host.exchange })))
+  if (resolving.length && reserved.length === 0) {
+    score.base += 0.5
+    score.details.push('MX hosts use public addresses (+0.5 points)')
+  }
+  reserved.forEach(entry => warnings.push(`MX host ${entry.exchange} resolves to ${entry.address} (${entry.name}, ${entry.cidr}), which is unreachable from the Internet`))
+
+  const withoutIPv6 = resolving.filter(host => host.ipv6.length === 0)
+  if (resolving.length && withoutIPv6.length === 0) {
+    score.base += 0.5
+    score.details.push('All MX hosts reachable over IPv6 (+0.5 points)')
+  } else if (withoutIPv6.length) {
+    recommendations.push(`Add AAAA records for ${withoutIPv6.map(host => host.exchange).join(', ')} to accept mail over IPv6`)
+  }
+
+  const unconfirmed = resolving.flatMap(host => host.reverseDNS.filter(entry => !entry.confirmed).map(entry => ({ ...entry, exchange: host.exchange })))
+  if (resolving.length && unconfirmed.length === 0) {
+    score.base += 0.5
+    score.details.push('Forward-confirmed reverse DNS for all MX addresses (+0.5 points)')
+  }
+  unconfirmed.forEach(entry => warnings.push(entry.ptr.length
+    ? `${entry.address} (${entry.exchange}) has PTR ${entry.ptr.join(', ')}, which does not resolve back to it`
+    : `${entry.address} (${entry.exchange}) has no PTR record`))
+  if (unconfirmed.length) {
+    recommendations.push('Ask your hosting provider to set PTR records that resolve back to each MX address (forward-confirmed reverse DNS)')
+  }
+
+  const finalScore = Math.max(Math.min(score.base, 6), 0)
   let securityLevel = 'Poor'
-  if (finalScore >= 2.5) securityLevel = 'Excellent'
-  else if (finalScore >= 2) securityLevel = 'Good'
-  else if (finalScore >= 1) securityLevel = 'Fair'
+  if (finalScore >= 5) securityLevel = 'Excellent'
+  else if (finalScore >= 4) securityLevel = 'Good'
+  else if (finalScore >= 2) securityLevel = 'Fair'
 
   return {
     warnings,
     recommendations,
     score: {
       value: Math.round(finalScore * 10) / 10,
-      outOf: 3,
+      outOf: 6,
       level: securityLevel,
       details: score.details
     }
   }
 }
+
+function analyzeNullMX(records) {
+  const warnings = ['Domain publishes a null MX (RFC 7505) and accepts no mail']
+  const recommendations = []
+  const details = ['Null MX explicitly declares that the domain receives no mail (+6 points)']
+
+  if (records.length === 1 && records[0].priority !== 0) {
+    recommendations.push('Publish the null MX with preference 0 ("0 .")')
+  }
+  if (records.length > 1) {
+    warnings.push('Null MX is published more than once')
+  }
+
+  return {
+    warnings,
+    recommendations,
+    score: {
+      value: 6,
+      outOf: 6,
+      level: 'Excellent',
+      details
+    }
+  }
+}
+
+// Resolve an exchange to its addresses and check how it is published
+async function resolveExchange(exchange) {
+  const ipLiteral = isIP(exchange.replace(/^\[|\]$/g, '')) !== 0
+  const host = { exchange, ipLiteral, cname: null, ipv4: [], ipv6: [], resolves: false, reserved: [], reverseDNS: [] }
+
+  if (ipLiteral) {
+    const address = exchange.replace(/^\[|\]$/g, '')
+    host[isIP(address) === 4 ? 'ipv4' : 'ipv6'].push(address)
+  } else {
+    const [cname, ipv4, ipv6] = await Promise.all([
+      resolver.resolveCname(exchange).then(names => names[0] || null, () => null),
+      lookupAddresses(exchange, 4),
+      lookupAddresses(exchange, 6)
+    ])
+    Object.assign(host, { cname, ipv4, ipv6 })
+  }
+
+  const addresses = [...host.ipv4, ...host.ipv6]
+  host.resolves = addresses.length > 0
+  host.reserved = addresses
+    .map(address => ({ address, ...reservedRange(address) }))
+    .filter(entry => entry.cidr)
+  host.reverseDNS = await Promise.all(addresses.map(checkReverseDNS))
+
+  return host
+}
+
+// Resolved addresses that are safe to probe: private and reserved ones are dropped one by one
+export function probeAddresses(host) {
+  const reserved = new Set(host.reserved.map(entry => entry.address))
+  return [...host.ipv4, ...host.ipv6].filter(address => !reserved.has(address))
+}
+
+// Forward-confirmed reverse DNS: some PTR name must resolve back to the address
+async function checkReverseDNS(address) {
+  const ptr = await resolver.reverse(address).catch(() => [])
+  const target = parseCIDR(address).start
+
+  for (const name of ptr) {
+    const forward = await lookupAddresses(name, isIP(address))
+    if (forward.some(candidate => parseCIDR(candidate)?.start === target)) {
+      return { address, ptr, confirmed: true, name }
+    }
+  }
+
+  return { address, ptr, confirmed: false }
+}
+
+async function lookupAddresses(name, version) {
+  try {
+    return version === 4 ? await resolver.resolve4(name) : await resolver.resolve6(name)
+  } catch (error) {
+    return []
+  }
+}
+
+function isNullExchange(exchange) {
+  return exchange === '' || exchange === '.'
+}
+
+// Deep mode adds 2 points: every MX reachable, and every MX offering STARTTLS with a valid certificate
+function scoreProbes(analysis, probes) {
+  const warnings = [...analysis.warnings]
+  const recommendations = [...analysis.recommendations]
+  const details = [...analysis.score.details]
+  let value = analysis.score.value
+
+  const skipped = probes.filter(probe => !probe.probed)
+  skipped.forEach(probe => warnings.push(`${probe.host}: not probed because ${probe.skipped === 'reserved address' ? 'it only resolves to private or reserved addresses' : 'it does not resolve'}`))
+
+  const probed = probes.filter(probe => probe.probed)
+  const reachable = probed.filter(probe => probe.responding)
+  const unreachable = probed.filter(probe => !reachable.includes(probe))
+  if (probed.length && unreachable.length === 0) {
+    value += 1
+    details.push('All MX hosts accept SMTP connections (+1 point)')
+  } else if (reachable.length) {
+    value += 0.5
+    details.push('Some MX hosts accept SMTP connections (+0.5 points)')
+  }
+  unreachable.forEach(probe => warnings.push(`${probe.host}: ${probe.error || 'no SMTP service'}`))
+
+  const encrypted = reachable.filter(probe => probe.tls)
+  const valid = encrypted.filter(probe => probe.tls.valid)
+  if (reachable.length && valid.length === reachable.length) {
+    value += 1
+    details.push('All reachable MX hosts offer STARTTLS with a valid certificate (+1 point)')
+  } else if (encrypted.length === reachable.length && reachable.length) {
+    value += 0.5
+    details.push('All reachable MX hosts offer STARTTLS (+0.5 points)')
+  }
+
+  for (const probe of reachable) {
+    probe.warnings.forEach(warning => warnings.push(`${probe.host}: ${warning}`))
+    if (!probe.starttls) {
+      recommendations.push(`Enable STARTTLS on ${probe.host}`)
+    } else if (probe.tls && !probe.tls.valid) {
+      recommendations.push(`Install a trusted, unexpired certificate issued for ${probe.host}`)
+    }
+  }
+
+  const finalScore = Math.max(Math.min(value, 8), 0)
+  let securityLevel = 'Poor'
+  if (finalScore >= 6.5) securityLevel = 'Excellent'
+  else if (finalScore >= 5) securityLevel = 'Good'
+  else if (finalScore >= 3) securityLevel = 'Fair'
+
+  return {
+    warnings,
+    recommendations,
+    score: {
+      value: Math.round(finalScore * 10) / 10,
+      outOf: 8,
+      level: securityLevel,
+      details
+    }
+  }
+}
@@ -0,0 +1,630 @@
+// src/services/recordGeneratorService.js
+import { getDomain } from 'tldts'
+import { analyzeSPF, MAX_DNS_LOOKUPS } from './spfService.js'
+import { analyzeDMARC } from './dmarcService.js'
+import { analyzeDKIM } from './dkimService.js'
+import { parseSPFRecord } from '../utils/spfParser.js'
+import { parseDMARCRecord, parseReportURI, validateDMARCTag } from '../utils/dmarcParser.js'
+import { parseDKIMRecord, encodePublicKey } from '../utils/dkimParser.js'
+import { toTXTRecord } from '../utils/txtRecord.js'
+
+// SPF includes for common sending providers
+export const SPF_PROVIDERS = {
+  google: { name: 'Google Workspace', include: '_spf.google.com' },
+  microsoft365: { name: 'Microsoft 365', include: 'spf.protection.outlook.com' },
+  mailchimp: { name: 'Mailchimp', include: 'servers.mcsv.net' },
+  mandrill: { name: 'Mandrill', include: 'spf.mandrillapp.com' },
+  sendgrid: { name: 'SendGrid', include: 'sendgrid.net' },
+  amazonses: { name: 'Amazon SES', include: 'amazonses.com' },
+  mailgun: { name: 'Mailgun', include: 'mailgun.org' },
+  postmark: { name: 'Postmark', include: 'spf.mtasv.net' },
+  sparkpost: { name: 'SparkPost', include: 'sparkpostmail.com' },
+  mailjet: { name: 'Mailjet', include: 'spf.mailjet.com' },
+  brevo: { name: 'Brevo', include: 'spf.brevo.com' },
+  zoho: { name: 'Zoho Mail', include: 'zohomail.com' },
+  fastmail: { name: 'Fastmail', include: 'spf.messagingengine.com' },
+  proton: { name: 'Proton Mail', include: '_spf.protonmail.ch' },
+  zendesk: { name: 'Zendesk', include: 'mail.zendesk.com' },
+  salesforce: { name: 'Salesforce', include: '_spf.salesforce.com' }
+}
+
+// DMARC policy goals and the tags they imply
+const DMARC_GOALS = {
+  monitor: { p: 'none' },
+  quarantine: { p: 'quarantine' },
+  reject: { p: 'reject' },
+  strict: { p: 'reject', adkim: 's', aspf: 's' }
+}
+
+// Canonical tag order for generated DMARC records (v and p first, as RFC 7489 requires)
+const DMARC_TAG_ORDER = ['v', 'p', 'sp', 'np', 'pct', 't', 'adkim', 'aspf', 'rua', 'ruf', 'fo', 'rf', 'ri', 'psd']
+
+const SPF_ALL_QUALIFIERS = { fail: '-', softfail: '~' }
+
+export const RECORD_TYPES = ['spf', 'dmarc', 'dkim']
+
+// Record Generation
+export async function generateRecord(type, inputs = {}) {
+  try {
+    const domain = requireDomain(inputs.domain)
+    let result
+
+    switch (type) {
+      case 'spf':
+        result = generateSPF(domain, inputs)
+        break
+      case 'dmarc':
+        result = generateDMARC(domain, inputs)
+        break
+      case 'dkim':
+        result = generateDKIM(domain, inputs)
+        break
+      default:
+        throw new Error(`Unsupported record type "${type}"`)
+    }
+
+    return {
+      success: true,
+      type,
+      mode: 'generate',
+      domain,
+      ...result
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+// Record Fixing: minimally change the domain's current record
+export async function fixRecord(type, inputs = {}) {
+  try {
+    const domain = requireDomain(inputs.domain)
+    let result
+
+    switch (type) {
+      case 'spf':
+        result = await fixSPF(domain, inputs)
+        break
+      case 'dmarc':
+        result = await fixDMARC(domain, inputs)
+        break
+      case 'dkim':
+        result = await fixDKIM(domain, inputs)
+        break
+      default:
+        throw new Error(`Unsupported record type "${type}"`)
+    }
+
+    return {
+      success: true,
+      type,
+      mode: 'fix',
+      domain,
+      ...result,
+      diff: buildDiff(result.currentRecord, result.record.value)
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+// SPF
+
+function generateSPF(domain, inputs) {
+  const warnings = []
+  const terms = []
+
+  if (inputs.mx) terms.push('mx')
+  if (inputs.a) terms.push('a')
+  toList(inputs.ip4).forEach(ip => terms.push(`ip4:${ip}`))
+  toList(inputs.ip6).forEach(ip => terms.push(`ip6:${ip}`))
+  providerIncludes(inputs.providers).forEach(include => terms.push(`include:${include}`))
+  toList(inputs.includes).forEach(include => terms.push(`include:${include}`))
+
+  if (terms.length === 0) {
+    warnings.push('No senders given – the record authorizes nobody, which is correct only for domains that never send mail')
+  }
+
+  const value = ['v=spf1', ...unique(terms), `${allQualifier(inputs.all, '~')}all`].join(' ')
+  const syntax = assertValid(parseSPFRecord(value), 'SPF')
+  const lookups = countSPFLookups(syntax)
+  const record = toTXTRecord(domain, value)
+
+  if (lookups > MAX_DNS_LOOKUPS) {
+    warnings.push(`The record needs ${lookups} DNS lookups before nested includes, above the limit of ${MAX_DNS_LOOKUPS}`)
+  } else {
+    warnings.push(`The record uses ${lookups} direct DNS lookup(s); includes may add more – check the result with /api/analyze-spf`)
+  }
+
+  return {
+    record,
+    records: [record],
+    lookups,
+    warnings
+  }
+}
+
+async function fixSPF(domain, inputs) {
+  const analysis = await analyzeSPF(domain)
+  if (!analysis.success) {
+    throw new Error(`${analysis.error} for ${domain} – use generate mode to create one`)
+  }
+
+  const currentRecord = analysis.rawRecord
+  const syntax = parseSPFRecord(currentRecord)
+  const changes = []
+  const warnings = []
+  const seen = new Set()
+  const terms = []
+  let allTerm = null
+  const hasRedirect = syntax.terms.some(term => term.name === 'redirect' && term.errors.length === 0)
+
+  if (analysis.allRecords) {
+    warnings.push(`${domain} publishes ${analysis.allRecords.length} SPF records; keep only this one`)
+  }
+
+  for (const term of syntax.terms) {
+    const key = term.raw.toLowerCase()
+
+    if (term.errors.length > 0) {
+      changes.push({ type: 'removed', term: term.raw, reason: term.errors[0].message })
+    } else if (seen.has(key)) {
+      changes.push({ type: 'removed', term: term.raw, reason: 'Duplicate term' })
+    } else if (term.name === 'ptr') {
+      changes.push({ type: 'removed', term: term.raw, reason: '"ptr" is deprecated (RFC 7208 §5.5)' })
+    } else if (term.name === 'all') {
+      allTerm = term
+    } else if (allTerm && term.kind === 'mechanism') {
+      changes.push({ type: 'moved', term: term.raw, reason: 'Mechanisms after "all" are never evaluated' })
+      terms.push(term.raw)
+    } else if (term.name === 'redirect' && syntax.terms.some(other => other.name === 'all')) {
+      changes.push({ type: 'removed', term: term.raw, reason: '"redirect=" is ignored because the record contains "all"' })
+    } else {
+      terms.push(term.raw)
+    }
+    seen.add(key)
+  }
+
+  // Senders requested alongside the fix
+  const additions = [
+    ...toList(inputs.ip4).map(ip => `ip4:${ip}`),
+    ...toList(inputs.ip6).map(ip => `ip6:${ip}`),
+    ...providerIncludes(inputs.providers).map(include => `include:${include}`),
+    ...toList(inputs.includes).map(include => `include:${include}`)
+  ]
+  for (const term of additions) {
+    if (seen.has(term.toLowerCase())) continue
+    seen.add(term.toLowerCase())
+    changes.push({ type: 'added', term, reason: 'Requested sender' })
+    terms.splice(firstModifierIndex(terms), 0, term)
+  }
+
+  let finalAll = null
+  if (allTerm) {
+    finalAll = allTerm.raw
+    if (allTerm.qualifier === '+' || allTerm.qualifier === '?' || inputs.all) {
+      const replacement = `${allQualifier(inputs.all, '~')}all`
+      if (replacement !== allTerm.raw) {
+        changes.push({ type: 'modified', from: allTerm.raw, to: replacement, reason: 'Unauthorized senders should fail or softfail' })
+        finalAll = replacement
+      }
+    }
+  } else if (!hasRedirect) {
+    finalAll = `${allQualifier(inputs.all, '~')}all`
+    changes.push({ type: 'added', term: finalAll, reason: 'Without "all" unlisted senders get a neutral result' })
+  }
+
+  // Keep modifiers at the end, after "all"
+  const mechanisms = terms.filter(term => !/^[a-z][a-z0-9_.-]*=/i.test(term))
+  const modifiers = terms.filter(term => /^[a-z][a-z0-9_.-]*=/i.test(term))
+  const value = ['v=spf1', ...mechanisms, ...(finalAll ? [finalAll] : []), ...modifiers].join(' ')
+  const fixed = assertValid(parseSPFRecord(value), 'SPF')
+
+  if (analysis.dnsLookups && analysis.dnsLookups.count > MAX_DNS_LOOKUPS) {
+    warnings.push(`The record needs ${analysis.dnsLookups.count} DNS lookups; use /api/flatten-spf to bring it under ${MAX_DNS_LOOKUPS}`)
+  }
+
+  const record = toTXTRecord(domain, value)
+
+  return {
+    currentRecord,
+    record,
+    records: [record],
+    changes,
+    lookups: countSPFLookups(fixed),
+    warnings
+  }
+}
+
+function countSPFLookups(syntax) {
+  return syntax.terms.filter(term => ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'].includes(term.name)).length
+}
+
+function firstModifierIndex(terms) {
+  const index = terms.findIndex(term => /^[a-z][a-z0-9_.-]*=/i.test(term))
+  return index === -1 ? terms.length : index
+}
+
+function providerIncludes(providers) {
+  return toList(providers).map(key => {
+    const provider = SPF_PROVIDERS[String(key).toLowerCase()]
+    if (!provider) {
+      throw new Error(`Unknown SPF provider "${key}". Known providers: ${Object.keys(SPF_PROVIDERS).join(', ')}`)
+    }
+    return provider.include
+  })
+}
+
+function allQualifier(value, fallback) {
+  if (value === undefined || value === null) return fallback
+  const qualifier = SPF_ALL_QUALIFIERS[value] || (['-', '~'].includes(value) ? value : null)
+  if (!qualifier) {
+    throw new Error('all must be "fail" (-all) or "softfail" (~all)')
+  }
+  return qualifier
+}
+
+// DMARC
+
+function generateDMARC(domain, inputs) {
+  const goal = inputs.goal || 'monitor'
+  if (!DMARC_GOALS[goal]) {
+    throw new Error(`Unknown DMARC goal "${goal}". Known goals: ${Object.keys(DMARC_GOALS).join(', ')}`)
+  }
+
+  const tags = { v: 'DMARC1', ...DMARC_GOALS[goal] }
+  applyDMARCInputs(tags, inputs)
+
+  return buildDMARCResult(domain, tags, dmarcWarnings(tags))
+}
+
+async function fixDMARC(domain, inputs) {
+  const analysis = await analyzeDMARC(domain)
+  if (!analysis.success) {
+    throw new Error(`${analysis.error} for ${domain} – use generate mode to create one`)
+  }
+
+  const currentRecord = analysis.rawRecord
+  const policyDomain = analysis.policyDomain || domain
+  const syntax = parseDMARCRecord(currentRecord)
+  const changes = []
+  const tags = {}
+
+  for (const tag of syntax.tagList) {
+    const term = `${tag.name}=${tag.value}`
+    const problems = validateDMARCTag(tag.name, tag.value).errors
+
+    if (!DMARC_TAG_ORDER.includes(tag.name)) {
+      changes.push({ type: 'removed', term, reason: `Unknown tag "${tag.name}"` })
+    } else if (tag.name === 'v') {
+      tags.v = 'DMARC1'
+      if (tag.value !== 'DMARC1') changes.push({ type: 'modified', from: term, to: 'v=DMARC1', reason: problems[0]?.message })
+    } else if (['rua', 'ruf'].includes(tag.name)) {
+      const uris = fixReportURIs(tag, changes)
+      if (uris.length > 0) tags[tag.name] = uris.join(',')
+    } else if (tag.name === 'fo' && problems.length > 0) {
+      const options = tag.value.split(':').map(option => option.trim()).filter(option => ['0', '1', 'd', 's'].includes(option.toLowerCase()))
+      if (options.length > 0) {
+        tags.fo = options.join(':')
+        changes.push({ type: 'modified', from: term, to: `fo=${tags.fo}`, reason: problems[0].message })
+      } else {
+        changes.push({ type: 'removed', term, reason: problems[0].message })
+      }
+    } else if (problems.length > 0) {
+      if (tag.name === 'p') {
+        tags.p = 'none'
+        changes.push({ type: 'modified', from: term, to: 'p=none', reason: problems[0].message })
+      } else {
+        changes.push({ type: 'removed', term, reason: problems[0].message })
+      }
+    } else {
+      tags[tag.name] = ['p', 'sp', 'np', 'adkim', 'aspf', 'psd', 't'].includes(tag.name) ? tag.value.toLowerCase() : tag.value
+    }
+  }
+
+  for (const duplicate of syntax.duplicates) {
+    changes.push({ type: 'removed', term: `${duplicate.name}=${duplicate.value}`, reason: `Duplicate tag "${duplicate.name}"` })
+  }
+
+  if (!tags.v) {
+    tags.v = 'DMARC1'
+    changes.push({ type: 'added', term: 'v=DMARC1', reason: 'Required version tag' })
+  }
+
+  if (!tags.p) {
+    tags.p = 'none'
+    changes.push({ type: 'added', term: 'p=none', reason: 'Required policy tag' })
+  }
+
+  const tagOrder = syntax.tagList.map(tag => tag.name)
+  if (tagOrder[0] !== 'v' || tagOrder[1] !== 'p') {
+    changes.push({ type: 'moved', term: 'v=DMARC1; p=', reason: '"v" must be the first tag and "p" the second' })
+  }
+
+  // Requested changes alongside the fix
+  const before = { ...tags }
+  applyDMARCInputs(tags, inputs)
+  for (const name of DMARC_TAG_ORDER) {
+    if (before[name] === tags[name]) continue
+    if (before[name] === undefined) {
+      changes.push({ type: 'added', term: `${name}=${tags[name]}`, reason: 'Requested change' })
+    } else {
+      changes.push({ type: 'modified', from: `${name}=${before[name]}`, to: `${name}=${tags[name]}`, reason: 'Requested change' })
+    }
+  }
+
+  const result = buildDMARCResult(policyDomain, tags, dmarcWarnings(tags), syntax.tagList.map(tag => tag.name))
+  if (policyDomain !== domain) {
+    result.warnings.unshift(`${domain} inherits its policy from ${policyDomain}; the fix applies to the ${policyDomain} record`)
+  }
+
+  return {
+    currentRecord,
+    ...result,
+    changes
+  }
+}
+
+function applyDMARCInputs(tags, inputs) {
+  const set = (name, value, allowed) => {
+    if (value === undefined || value === null || value === '') return
+    const normalized = String(value).toLowerCase()
+    if (allowed && !allowed.includes(normalized)) {
+      throw new Error(`${name} must be one of: ${allowed.join(', ')}`)
+    }
+    tags[name] = normalized
+  }
+
+  set('p', inputs.policy, ['none', 'quarantine', 'reject'])
+  set('sp', inputs.subdomainPolicy, ['none', 'quarantine', 'reject'])
+  set('np', inputs.nonexistentPolicy, ['none', 'quarantine', 'reject'])
+  set('adkim', inputs.adkim, ['r', 's'])
+  set('aspf', inputs.aspf, ['r', 's'])
+
+  if (inputs.pct !== undefined && inputs.pct !== null) {
+    const pct = Number(inputs.pct)
+    if (!Number.isInteger(pct) || pct < 0 || pct > 100) {
+      throw new Error('pct must be an integer from 0 to 100')
+    }
+    if (pct === 100) delete tags.pct
+    else tags.pct = String(pct)
+  }
+
+  if (inputs.failureOptions !== undefined) {
+    tags.fo = toList(inputs.failureOptions).join(':')
+  }
+
+  for (const name of ['rua', 'ruf']) {
+    const addresses = toList(inputs[name]).map(toMailtoURI)
+    if (addresses.length === 0) continue
+    const existing = tags[name] ? tags[name].split(',') : []
+    const merged = unique([...existing, ...addresses])
+    tags[name] = merged.join(',')
+  }
+}
+
+function fixReportURIs(tag, changes) {
+  const uris = []
+  for (const item of tag.value.split(',').map(uri => uri.trim()).filter(Boolean)) {
+    let uri = item
+    // A bare address is the most common mistake
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(uri) && uri.includes('@')) {
+      uri = `mailto:${uri}`
+      changes.push({ type: 'modified', from: `${tag.name}=${item}`, to: `${tag.name}=${uri}`, reason: 'Report addresses must be mailto: URIs' })
+    }
+
+    const destination = parseReportURI(uri)
+    if (!destination.valid) {
+      changes.push({ type: 'removed', term: `${tag.name}=${item}`, reason: destination.error })
+      continue
+    }
+    uris.push(uri)
+  }
+  return uris
+}
+
+function buildDMARCResult(domain, tags, warnings, originalOrder = []) {
+  // Keep the user's order for the remaining tags so the diff stays small
+  const order = ['v', 'p', ...unique([...originalOrder, ...DMARC_TAG_ORDER].filter(name => name !== 'v' && name !== 'p'))]
+  const value = order
+    .filter(name => tags[name] !== undefined)
+    .map(name => `${name}=${tags[name]}`)
+    .join('; ')
+
+  assertValid(parseDMARCRecord(value), 'DMARC')
+
+  const records = [toTXTRecord(`_dmarc.${domain}`, value)]
+  const organizationalDomain = getDomain(domain) || domain
+
+  // External report destinations must authorize the domain (RFC 7489 §7.1)
+  for (const name of ['rua', 'ruf']) {
+    for (const uri of tags[name] ? tags[name].split(',') : []) {
+      const destination = parseReportURI(uri)
+      if (!destination.valid || (getDomain(destination.domain) || destination.domain) === organizationalDomain) continue
+      const authorization = toTXTRecord(`${domain}._report._dmarc.${destination.domain}`, 'v=DMARC1')
+      if (records.some(record => record.name === authorization.name)) continue
+      authorization.publishedBy = destination.domain
+      records.push(authorization)
+      warnings.push(`${destination.domain} must publish ${authorization.name} or it will not receive reports for ${domain}`)
+    }
+  }
+
+  return {
+    record: records[0],
+    records,
+    warnings
+  }
+}
+
+function dmarcWarnings(tags) {
+  const warnings = []
+  if (!tags.rua) {
+    warnings.push('No rua address – you will not receive aggregate reports to verify your senders')
+  }
+  if (tags.p === 'none') {
+    warnings.push('p=none only monitors; move to quarantine and then reject once reports show all senders pass')
+  }
+  return warnings
+}
+
+function toMailtoURI(address) {
+  const uri = /^mailto:/i.test(address) ? address : `mailto:${address}`
+  if (!parseReportURI(uri).valid) {
+    throw new Error(`Invalid report address "${address}"`)
+  }
+  return uri
+}
+
+// DKIM
+
+function generateDKIM(domain, inputs) {
+  const selector = requireSelector(inputs.selector)
+  if (!inputs.publicKey) {
+    throw new Error('publicKey is required (PEM or base64 DER)')
+  }
+
+  const key = encodePublicKey(inputs.publicKey)
+  const tags = [['v', 'DKIM1'], ['k', key.type]]
+
+  if (inputs.hashAlgorithms) tags.push(['h', toList(inputs.hashAlgorithms).join(':')])
+  if (inputs.serviceType) tags.push(['s', inputs.serviceType])
+  if (inputs.testing) tags.push(['t', 'y'])
+  tags.push(['p', key.value])
+
+  const value = tags.map(([name, tagValue]) => `${name}=${tagValue}`).join('; ')
+  assertValid(parseDKIMRecord(value), 'DKIM')
+
+  const warnings = []
+  if (key.type === 'rsa' && key.bits < 2048) {
+    warnings.push(`${key.bits}-bit RSA keys are weak; use 2048 bits or more`)
+  }
+  if (key.type === 'ed25519') {
+    warnings.push('Not every receiver verifies Ed25519 signatures; also sign with an RSA key under another selector')
+  }
+  if (inputs.testing) {
+    warnings.push('t=y marks the key as testing; remove it once signing is verified')
+  }
+
+  const record = toTXTRecord(`${selector}._domainkey.${domain}`, value)
+
+  return {
+    selector,
+    keyType: key.type,
+    keyBits: key.bits,
+    record,
+    records: [record],
+    warnings
+  }
+}
+
+async function fixDKIM(domain, inputs) {
+  const selector = requireSelector(inputs.selector)
+  const analysis = await analyzeDKIM(domain, selector)
+  if (!analysis.success) {
+    throw new Error(`${analysis.error} on ${domain} – use generate mode to create one`)
+  }
+
+  const currentRecord = analysis.rawRecord
+  const parsed = parseDKIMRecord(currentRecord)
+  const changes = []
+  const warnings = []
+  const tags = []
+
+  for (const [name, value] of Object.entries(parsed.tags)) {
+    if (name === 'v') continue
+    if (name === 't' && parsed.flags.testing) {
+      const remaining = value.split(':').map(flag => flag.trim()).filter(flag => flag && flag !== 'y')
+      changes.push(remaining.length
+        ? { type: 'modified', from: `t=${value}`, to: `t=${remaining.join(':')}`, reason: 'Testing mode tells receivers to ignore failures' }
+        : { type: 'removed', term: `t=${value}`, reason: 'Testing mode tells receivers to ignore failures' })
+      if (remaining.length) tags.push(['t', remaining.join(':')])
+    } else if (name === 'h' && !parsed.hashAlgorithms.includes('sha256')) {
+      changes.push({ type: 'removed', term: `h=${value}`, reason: 'Only sha1 is allowed; receivers should accept sha256' })
+    } else if (name === 's' && !parsed.serviceTypes.some(type => ['*', 'email'].includes(type))) {
+      changes.push({ type: 'removed', term: `s=${value}`, reason: 'The service type excludes email' })
+    } else {
+      tags.push([name, value])
+    }
+  }
+
+  if (parsed.tags.v === undefined) {
+    changes.push({ type: 'added', term: 'v=DKIM1', reason: 'Version tag makes the record unambiguous' })
+  } else if (parsed.tags.v !== 'DKIM1') {
+    changes.push({ type: 'modified', from: `v=${parsed.tags.v}`, to: 'v=DKIM1', reason: 'Unsupported version' })
+  }
+
+  if (parsed.key?.revoked) {
+    warnings.push('The key is revoked (empty p=); publish a new key to resume signing')
+  } else if (parsed.key?.error) {
+    warnings.push(`The public key is unusable (${parsed.key.error}); generate a new key pair`)
+  } else if (parsed.key?.type === 'rsa' && parsed.key.bits < 2048) {
+    warnings.push(`${parsed.key.bits}-bit RSA key is weak; rotate to a 2048-bit key under a new selector`)
+  }
+
+  const value = [['v', 'DKIM1'], ...tags].map(([name, tagValue]) => `${name}=${tagValue}`).join('; ')
+  const record = toTXTRecord(`${selector}._domainkey.${domain}`, value)
+
+  return {
+    selector,
+    currentRecord,
+    record,
+    records: [record],
+    changes,
+    warnings
+  }
+}
+
+function requireSelector(selector) {
+  if (!selector || !/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i.test(selector)) {
+    throw new Error('A valid DKIM selector is required')
+  }
+  return selector.toLowerCase()
+}
+
+// Shared helpers
+
+function requireDomain(domain) {
+  if (!domain) {
+    throw new Error('Domain is required')
+  }
+  return domain
+}
+
+function assertValid(syntax, label) {
+  if (!syntax.valid) {
+    const details = syntax.errors.map(error => `position ${error.position}: ${error.message}`).join('; ')
+    throw new Error(`Generated ${label} record is invalid (${details})`)
+  }
+  return syntax
+}
+
+// Term-level diff: removed terms prefixed with "-", added with "+"
+function buildDiff(before, after) {
+  const split = value => value.split(/;\s*|\s+/).map(term => term.trim()).filter(Boolean)
+  const beforeTerms = split(before)
+  const afterTerms = split(after)
+
+  return {
+    before,
+    after,
+    unchanged: before === after,
+    removed: beforeTerms.filter(term => !afterTerms.includes(term)),
+    added: afterTerms.filter(term => !beforeTerms.includes(term)),
+    text: [`- ${before}`, `+ ${after}`].join('\n')
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return []
+  return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean)
+}
+
+function unique(values) {
+  return [...new Set(values)]
+}
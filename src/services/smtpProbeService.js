@@ -0,0 +1,314 @@
+// src/services/smtpProbeService.js
+import net, { isIP } from 'net'
+import tls from 'tls'
+import { X509Certificate } from 'crypto'
+import { reservedRange } from '../utils/cidr.js'
+import { resolver } from '../utils/dnsResolver.js'
+
+const SMTP_PORT = 25
+const DEFAULT_TIMEOUT_MS = 10000
+const DEFAULT_HELO_NAME = 'probe.bluefox.email'
+const CERTIFICATE_EXPIRY_WARNING_DAYS = 14
+const MAX_REPLY_BYTES = 64 * 1024
+
+// SMTP Probe: banner, EHLO capabilities and STARTTLS negotiation for one mail server
+// Connects only to vetted addresses, never to the name itself, so the OS resolver can't send the probe elsewhere:
+// options.addresses (already resolved and checked), else the public A/AAAA records from the shared resolver
+// options.target: { host, port } or (mxHost) => { host, port } to connect somewhere other than mxHost:25
+// options.ca: trusted CA certificates for chain validation instead of the Node.js bundle
+// options.includeCertificates: add the presented chain as PEM (tls.certificates), e.g. for DANE matching
+export async function probeSMTP(mxHost, options = {}) {
+  const hostname = mxHost.toLowerCase().replace(/\.$/, '')
+  const target = (typeof options.target === 'function' ? options.target(hostname) : options.target) || {}
+  const port = Number(target.port || SMTP_PORT)
+  const timeout = Number(options.timeout || DEFAULT_TIMEOUT_MS)
+  const heloName = options.heloName || DEFAULT_HELO_NAME
+  const started = Date.now()
+
+  const result = {
+    host: hostname,
+    address: null,
+    connected: false,
+    responding: false,
+    banner: null,
+    capabilities: [],
+    starttls: false,
+    tls: null,
+    warnings: []
+  }
+
+  let socket = null
+  try {
+    const addresses = target.host ? [target.host] : options.addresses || await publicAddresses(hostname)
+    if (addresses.length === 0) {
+      throw new Error(`${hostname} has no public address to connect to`)
+    }
+
+    for (const [index, address] of addresses.entries()) {
+      try {
+        socket = await connect(address, port, timeout)
+        result.address = isIP(address) === 6 ? `[${address}]:${port}` : `${address}:${port}`
+        break
+      } catch (error) {
+        if (index === addresses.length - 1) throw error
+      }
+    }
+    result.connected = true
+    let reader = createReplyReader(socket, timeout)
+
+    const banner = await reader.read()
+    result.banner = banner.text
+    if (banner.code !== 220) {
+      throw new Error(`Server greeted with ${banner.code} instead of 220: ${banner.text}`)
+    }
+    result.responding = true
+
+    let ehlo = await command(socket, reader, `EHLO ${heloName}`)
+    if (ehlo.code !== 250) {
+      result.warnings.push(`EHLO rejected (${ehlo.code}); the server may only speak HELO`)
+      throw new Error(`EHLO rejected: ${ehlo.text}`)
+    }
+    result.capabilities = parseCapabilities(ehlo.lines)
+    result.starttls = result.capabilities.some(capability => capability.toUpperCase() === 'STARTTLS')
+
+    if (!result.starttls) {
+      result.warnings.push('STARTTLS is not offered; mail to this server travels unencrypted')
+    } else {
+      const reply = await command(socket, reader, 'STARTTLS')
+      if (reply.code !== 220) {
+        throw new Error(`STARTTLS rejected (${reply.code}): ${reply.text}`)
+      }
+
+      reader.detach()
+      socket = await upgrade(socket, hostname, options.ca, timeout)
+      result.tls = describeTLS(socket, hostname)
+      if (options.includeCertificates) {
+        result.tls.certificates = presentedCertificates(socket.getPeerCertificate(true))
+      }
+      result.warnings.push(...result.tls.warnings)
+
+      reader = createReplyReader(socket, timeout)
+      ehlo = await command(socket, reader, `EHLO ${heloName}`)
+      if (ehlo.code === 250) {
+        result.tlsCapabilities = parseCapabilities(ehlo.lines)
+      }
+    }
+
+    await command(socket, reader, 'QUIT').catch(() => null)
+  } catch (error) {
+    result.error = error.message
+  } finally {
+    socket?.destroy()
+    result.durationMs = Date.now() - started
+  }
+
+  return result
+}
+
+async function publicAddresses(hostname) {
+  if (isIP(hostname)) return reservedRange(hostname) ? [] : [hostname]
+
+  const [ipv4, ipv6] = await Promise.all([
+    resolver.resolve4(hostname).catch(() => []),
+    resolver.resolve6(hostname).catch(() => [])
+  ])
+  return [...ipv4, ...ipv6].filter(address => !reservedRange(address))
+}
+
+function connect(host, port, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port })
+    socket.setTimeout(timeout, () => {
+      socket.destroy()
+      reject(new Error(`Connection to ${host}:${port} timed out`))
+    })
+    socket.once('connect', () => {
+      socket.setTimeout(0)
+      resolve(socket)
+    })
+    socket.once('error', reject)
+  })
+}
+
+function upgrade(socket, servername, ca, timeout) {
+  return new Promise((resolve, reject) => {
+    // Errors after the upgrade surface on the TLS socket
+    socket.on('error', () => {})
+    // Validation is reported, not enforced, so the handshake completes for broken chains too
+    const secure = tls.connect({ socket, servername, ca, rejectUnauthorized: false })
+    const timer = setTimeout(() => {
+      secure.destroy()
+      reject(new Error('TLS handshake timed out'))
+    }, timeout)
+    secure.once('secureConnect', () => {
+      clearTimeout(timer)
+      resolve(secure)
+    })
+    secure.once('error', error => {
+      clearTimeout(timer)
+      reject(new Error(`TLS handshake failed: ${error.message}`))
+    })
+  })
+}
+
+async function command(socket, reader, line) {
+  socket.write(`${line}\r\n`)
+  return reader.read()
+}
+
+// Collects multi-line replies ("250-..." continues, "250 ..." ends)
+function createReplyReader(socket, timeout) {
+  let buffer = ''
+  let lines = []
+  const replies = []
+  let waiting = null
+  let failure = null
+
+  const settle = () => {
+    if (!waiting) return
+    if (replies.length) {
+      const { resolve, timer } = waiting
+      waiting = null
+      clearTimeout(timer)
+      resolve(replies.shift())
+    } else if (failure) {
+      const { reject, timer } = waiting
+      waiting = null
+      clearTimeout(timer)
+      reject(failure)
+    }
+  }
+
+  const onData = chunk => {
+    buffer += chunk.toString('latin1')
+    if (buffer.length > MAX_REPLY_BYTES) {
+      failure = new Error('Reply too long')
+      return settle()
+    }
+
+    let newline
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '')
+      buffer = buffer.slice(newline + 1)
+      lines.push(line.slice(4))
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join(' ').trim(), lines })
+        lines = []
+      }
+    }
+    settle()
+  }
+  const onError = error => {
+    failure = error
+    settle()
+  }
+  const onClose = () => {
+    failure = failure || new Error('Connection closed by server')
+    settle()
+  }
+
+  socket.on('data', onData)
+  socket.on('error', onError)
+  socket.on('close', onClose)
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiting = null
+          reject(new Error('Timed out waiting for server reply'))
+        }, timeout)
+        waiting = { resolve, reject, timer }
+        settle()
+      })
+    },
+    detach() {
+      socket.removeListener('data', onData)
+      socket.removeListener('error', onError)
+      socket.removeListener('close', onClose)
+    }
+  }
+}
+
+// The first EHLO line is the greeting; the rest are extension keywords
+function parseCapabilities(lines) {
+  return lines.slice(1).map(line => line.trim()).filter(Boolean)
+}
+
+function describeTLS(socket, hostname) {
+  const warnings = []
+  const cipher = socket.getCipher()
+  const peer = socket.getPeerCertificate(true)
+  const certificate = peer && Object.keys(peer).length ? describeCertificate(peer) : null
+  const identityError = peer && Object.keys(peer).length ? tls.checkServerIdentity(hostname, peer) : new Error('No certificate presented')
+
+  const version = socket.getProtocol()
+  if (['TLSv1', 'TLSv1.1', 'SSLv3'].includes(version)) {
+    warnings.push(`Negotiated ${version}, which is deprecated`)
+  }
+
+  if (!socket.authorized) {
+    warnings.push(`Certificate chain is not trusted: ${socket.authorizationError}`)
+  }
+  if (identityError) {
+    warnings.push(`Certificate does not match ${hostname}: ${identityError.message}`)
+  }
+  if (certificate?.expired) {
+    warnings.push(`Certificate expired on ${certificate.validTo}`)
+  } else if (certificate && certificate.daysRemaining < CERTIFICATE_EXPIRY_WARNING_DAYS) {
+    warnings.push(`Certificate expires in ${certificate.daysRemaining} days`)
+  }
+
+  return {
+    version,
+    cipher: cipher?.name || null,
+    cipherVersion: cipher?.version || null,
+    authorized: socket.authorized,
+    authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+    hostnameMatch: !identityError,
+    certificate,
+    chain: certificateChain(peer),
+    valid: Boolean(socket.authorized && !identityError && certificate && !certificate.expired),
+    warnings
+  }
+}
+
+function describeCertificate(cert) {
+  const validTo = new Date(cert.valid_to)
+  return {
+    subject: cert.subject?.CN || null,
+    issuer: cert.issuer?.O || cert.issuer?.CN || null,
+    subjectAltName: (cert.subjectaltname || '')
+      .split(/,\s*/)
+      .filter(name => name.startsWith('DNS:'))
+      .map(name => name.slice(4)),
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: validTo.toISOString(),
+    expired: validTo < new Date(),
+    daysRemaining: Math.floor((validTo - Date.now()) / 86400000),
+    fingerprint256: cert.fingerprint256
+  }
+}
+
+// getPeerCertificate(true) links each certificate to its issuer; a self-signed root links to itself
+function presentedCertificates(peer) {
+  const certificates = []
+  let cert = peer
+  while (cert?.raw && certificates.length < 10) {
+    certificates.push(new X509Certificate(cert.raw).toString())
+    if (!cert.issuerCertificate || cert.issuerCertificate === cert) break
+    cert = cert.issuerCertificate
+  }
+  return certificates
+}
+
+function certificateChain(peer) {
+  const chain = []
+  let cert = peer
+  while (cert && Object.keys(cert).length && chain.length < 10) {
+    chain.push({ subject: cert.subject?.CN || cert.subject?.O || null, issuer: cert.issuer?.CN || cert.issuer?.O || null, validTo: new Date(cert.valid_to).toISOString() })
+    if (!cert.issuerCertificate || cert.issuerCertificate === cert) break
+    cert = cert.issuerCertificate
+  }
+  return chain
+}
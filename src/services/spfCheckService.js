@@ -0,0 +1,380 @@
+// src/services/spfCheckService.js
+import { isIP } from 'net'
+import { fetchSPFRecords, MAX_DNS_LOOKUPS, MAX_VOID_LOOKUPS, MAX_MX_HOSTS } from './spfService.js'
+import { parseCIDR } from '../utils/cidr.js'
+import { parseSPFRecord } from '../utils/spfParser.js'
+import { resolver } from '../utils/dnsResolver.js'
+
+// RFC 7208 §4.6.4: only the first 10 PTR names are validated
+const MAX_PTR_NAMES = 10
+
+const QUALIFIER_RESULTS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' }
+
+// Evaluate check_host() (RFC 7208 §4) for a connecting IP
+export async function checkSPF({ ip, domain, mailFrom, helo }) {
+  const clientIp = normalizeIP(ip)
+
+  if (!clientIp) {
+    return {
+      success: false,
+      error: 'A valid client IP address is required'
+    }
+  }
+
+  // MAIL FROM identity, falling back to postmaster@HELO for null senders (RFC 7208 §2.4)
+  const sender = mailFrom
+    ? (mailFrom.includes('@') ? mailFrom : `postmaster@${mailFrom}`)
+    : `postmaster@${domain || helo}`
+  const senderDomain = sender.split('@').pop().toLowerCase()
+  const checkDomain = (mailFrom ? senderDomain : (domain || helo || '')).toLowerCase()
+
+  if (!checkDomain) {
+    return {
+      success: false,
+      error: 'A domain, MAIL FROM address or HELO name is required'
+    }
+  }
+
+  const context = {
+    ip: clientIp,
+    sender,
+    helo: helo || checkDomain,
+    lookups: 0,
+    voidLookups: 0,
+    trace: []
+  }
+
+  let evaluation
+  try {
+    evaluation = await checkHost(checkDomain, context, 0)
+  } catch (error) {
+    evaluation = error.spfResult || { result: 'temperror', reason: error.message }
+  }
+
+  return {
+    success: true,
+    domain: checkDomain,
+    ip: clientIp,
+    helo: context.helo,
+    mailFrom: sender,
+    result: evaluation.result,
+    reason: evaluation.reason || null,
+    matched: evaluation.matched || null,
+    explanation: evaluation.explanation || null,
+    lookups: {
+      count: context.lookups,
+      limit: MAX_DNS_LOOKUPS,
+      voidCount: context.voidLookups,
+      voidLimit: MAX_VOID_LOOKUPS
+    },
+    trace: context.trace
+  }
+}
+
+async function checkHost(domain, context, depth) {
+  const lookup = await fetchSPFRecords(domain)
+
+  if (lookup.error === 'temperror') {
+    trace(context, depth, domain, null, 'temperror', 'DNS error while fetching SPF record')
+    return { result: 'temperror', reason: `DNS error while fetching SPF record for ${domain}` }
+  }
+
+  if (lookup.error === 'none') {
+    trace(context, depth, domain, null, 'none', 'No SPF record published')
+    return { result: 'none', reason: `${domain} does not publish an SPF record` }
+  }
+
+  if (lookup.records.length > 1) {
+    trace(context, depth, domain, null, 'permerror', 'Multiple SPF records published')
+    return { result: 'permerror', reason: `Multiple SPF records published at ${domain}` }
+  }
+
+  const record = lookup.records[0]
+  trace(context, depth, domain, record, 'record', 'Evaluating SPF record')
+
+  const syntax = parseSPFRecord(record)
+  if (!syntax.valid) {
+    const [error] = syntax.errors
+    trace(context, depth, domain, null, 'permerror', `Syntax error at position ${error.position}: ${error.message}`)
+    return { result: 'permerror', reason: `Syntax error in SPF record for ${domain}: ${error.message}` }
+  }
+
+  const terms = syntax.terms.map(term => ({ ...term, term: term.raw }))
+  const redirect = terms.find(t => t.name === 'redirect')
+  const exp = terms.find(t => t.name === 'exp')
+
+  for (const term of terms) {
+    if (term.kind === 'modifier') continue
+
+    const outcome = await evaluateMechanism(term, domain, context, depth)
+
+    if (outcome.stop) {
+      // include propagated an error result
+      return outcome.stop
+    }
+
+    if (outcome.match) {
+      const result = QUALIFIER_RESULTS[term.qualifier]
+      trace(context, depth, domain, term.term, 'match', `Matched, result ${result}`)
+
+      const matched = { domain, term: term.term, mechanism: term.name, qualifier: term.qualifier }
+      if (outcome.inner) matched.via = outcome.inner
+
+      const evaluation = { result, matched }
+      if (result === 'fail' && exp) {
+        evaluation.explanation = await fetchExplanation(exp.value, domain, context)
+      }
+      return evaluation
+    }
+
+    trace(context, depth, domain, term.term, 'no-match', 'Did not match')
+  }
+
+  if (redirect) {
+    countLookup(context)
+    const target = expandMacros(redirect.value, domain, context)
+    trace(context, depth, domain, redirect.term, 'redirect', `Following redirect to ${target}`)
+
+    const result = await checkHost(target.toLowerCase(), context, depth + 1)
+    if (result.result === 'none') {
+      return { result: 'permerror', reason: `redirect=${target} does not publish an SPF record` }
+    }
+    return result
+  }
+
+  trace(context, depth, domain, null, 'default', 'No mechanism matched, default result neutral')
+  return { result: 'neutral', reason: 'No mechanism matched' }
+}
+
+// Resolves to { match }, with `stop` set when an include result must end evaluation
+async function evaluateMechanism(term, domain, context, depth) {
+  const { name, value, cidr4, cidr6 } = term
+
+  switch (name) {
+    case 'all':
+      return { match: true }
+
+    case 'ip4':
+    case 'ip6': {
+      const network = parseCIDR(value)
+      if (!network || network.version !== (name === 'ip4' ? 4 : 6)) {
+        throw permError(`Invalid ${name} network: ${value}`)
+      }
+      return { match: ipInNetwork(context.ip, network) }
+    }
+
+    case 'include': {
+      countLookup(context)
+      const target = expandMacros(value, domain, context).toLowerCase()
+      trace(context, depth, domain, term.term, 'include', `Evaluating include ${target}`)
+
+      const result = await checkHost(target, context, depth + 1)
+      switch (result.result) {
+        case 'pass':
+          return { match: true, inner: result.matched }
+        case 'fail':
+        case 'softfail':
+        case 'neutral':
+          return { match: false }
+        case 'temperror':
+          return { match: false, stop: result }
+        default:
+          return { match: false, stop: { result: 'permerror', reason: result.reason || `include:${target} failed` } }
+      }
+    }
+
+    case 'a': {
+      countLookup(context)
+      const target = value ? expandMacros(value, domain, context) : domain
+      const addresses = await resolveAddresses(target, context)
+      return { match: addresses.some(address => ipInNetwork(context.ip, toNetwork(address, cidr4, cidr6))) }
+    }
+
+    case 'mx': {
+      countLookup(context)
+      const target = value ? expandMacros(value, domain, context) : domain
+      const mxRecords = await query(() => resolver.resolveMx(target), context)
+
+      if (mxRecords.length > MAX_MX_HOSTS) {
+        throw permError(`mx:${target} returns more than ${MAX_MX_HOSTS} MX hosts`)
+      }
+
+      for (const mx of mxRecords) {
+        const addresses = await resolveAddresses(mx.exchange, context, false)
+        if (addresses.some(address => ipInNetwork(context.ip, toNetwork(address, cidr4, cidr6)))) {
+          return { match: true }
+        }
+      }
+      return { match: false }
+    }
+
+    case 'ptr': {
+      countLookup(context)
+      const target = (value ? expandMacros(value, domain, context) : domain).toLowerCase()
+      const validated = await validatedPTRNames(context)
+      return { match: validated.some(name => name === target || name.endsWith(`.${target}`)) }
+    }
+
+    case 'exists': {
+      countLookup(context)
+      const target = expandMacros(value, domain, context)
+      const addresses = await query(() => resolver.resolve4(target), context)
+      return { match: addresses.length > 0 }
+    }
+
+    default:
+      throw permError(`Unknown mechanism: ${term.term}`)
+  }
+}
+
+async function resolveAddresses(host, context, countVoid = true) {
+  const family = isIP(context.ip)
+  const method = family === 4 ? 'resolve4' : 'resolve6'
+  return query(() => resolver[method](host), context, countVoid)
+}
+
+async function validatedPTRNames(context) {
+  let names = []
+  try {
+    names = await resolver.reverse(context.ip)
+  } catch (error) {
+    return []
+  }
+
+  const validated = []
+  for (const name of names.slice(0, MAX_PTR_NAMES)) {
+    const addresses = await resolveAddresses(name, context, false).catch(() => [])
+    if (addresses.some(address => normalizeIP(address) === context.ip)) {
+      validated.push(name.toLowerCase().replace(/\.$/, ''))
+    }
+  }
+  return validated
+}
+
+async function query(fn, context, countVoid = true) {
+  try {
+    const answers = await fn()
+    if (answers.length === 0 && countVoid) countVoidLookup(context)
+    return answers
+  } catch (error) {
+    if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+      if (countVoid) countVoidLookup(context)
+      return []
+    }
+    throw Object.assign(new Error(error.message), {
+      spfResult: { result: 'temperror', reason: `DNS error: ${error.code || error.message}` }
+    })
+  }
+}
+
+async function fetchExplanation(value, domain, context) {
+  try {
+    const target = expandMacros(value, domain, context)
+    const txtRecords = await resolver.resolveTxt(target)
+    if (txtRecords.length !== 1) return null
+    return expandMacros(txtRecords[0].join(''), domain, context, true)
+  } catch (error) {
+    return null
+  }
+}
+
+function countLookup(context) {
+  context.lookups += 1
+  if (context.lookups > MAX_DNS_LOOKUPS) {
+    throw permError(`Too many DNS lookups (limit is ${MAX_DNS_LOOKUPS})`)
+  }
+}
+
+function countVoidLookup(context) {
+  context.voidLookups += 1
+  if (context.voidLookups > MAX_VOID_LOOKUPS) {
+    throw permError(`Too many void DNS lookups (limit is ${MAX_VOID_LOOKUPS})`)
+  }
+}
+
+function permError(reason) {
+  return Object.assign(new Error(reason), { spfResult: { result: 'permerror', reason } })
+}
+
+function trace(context, depth, domain, term, step, detail) {
+  context.trace.push({ depth, domain, term, step, detail })
+}
+
+// RFC 7208 §7 macro expansion
+function expandMacros(value, domain, context, isExplanation = false) {
+  const [localPart, senderDomain] = splitAddress(context.sender)
+  const family = isIP(context.ip)
+
+  const letters = {
+    s: context.sender,
+    l: localPart,
+    o: senderDomain,
+    d: domain,
+    i: family === 4 ? context.ip : expandIPv6Nibbles(context.ip),
+    p: 'unknown',
+    v: family === 4 ? 'in-addr' : 'ip6',
+    h: context.helo
+  }
+
+  if (isExplanation) {
+    letters.c = context.ip
+    letters.r = 'unknown'
+    letters.t = String(Math.floor(Date.now() / 1000))
+  }
+
+  return value.replace(/%(%|_|-|\{([a-z])(\d*)(r?)([.\-+,/_=]*)\})/gi, (match, token, letter, digits, reverse, delimiters) => {
+    if (token === '%') return '%'
+    if (token === '_') return ' '
+    if (token === '-') return '%20'
+
+    const source = letters[letter.toLowerCase()]
+    if (source === undefined) {
+      throw permError(`Invalid macro letter: ${match}`)
+    }
+
+    const splitter = new RegExp(`[${(delimiters || '.').replace(/[-\]\\/]/g, '\\$&')}]`)
+    let parts = source.split(splitter)
+    if (reverse) parts = parts.reverse()
+    if (digits) {
+      const count = Number(digits)
+      if (count === 0) throw permError(`Invalid macro transformer: ${match}`)
+      parts = parts.slice(-count)
+    }
+
+    const expanded = parts.join('.')
+    return letter === letter.toUpperCase() ? encodeURIComponent(expanded) : expanded
+  })
+}
+
+function splitAddress(address) {
+  const atPos = address.lastIndexOf('@')
+  return [address.slice(0, atPos) || 'postmaster', address.slice(atPos + 1)]
+}
+
+function expandIPv6Nibbles(ip) {
+  const network = parseCIDR(ip)
+  return network.start.toString(16).padStart(32, '0').split('').join('.')
+}
+
+function normalizeIP(ip) {
+  if (!ip || !isIP(String(ip).trim())) return null
+
+  const value = String(ip).trim().toLowerCase()
+  // IPv4-mapped IPv6 addresses are evaluated as IPv4 (RFC 7208 §5)
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+  return mapped ? mapped[1] : value
+}
+
+function toNetwork(address, cidr4, cidr6) {
+  const prefix = isIP(address) === 4 ? cidr4 : cidr6
+  return parseCIDR(prefix === null ? address : `${address}/${prefix}`)
+}
+
+function ipInNetwork(ip, network) {
+  const client = parseCIDR(ip)
+  if (!client || !network || client.version !== network.version) return false
+
+  const bits = network.version === 4 ? 32 : 128
+  const mask = network.prefix === 0 ? 0n : ((1n << BigInt(bits)) - 1n) >> BigInt(bits - network.prefix) << BigInt(bits - network.prefix)
+  return (client.start & mask) === network.start
+}
@@ -0,0 +1,155 @@
+// src/services/spfFlattenService.js
+import { resolveSPFTree } from './spfService.js'
+import { collapseCIDRs, formatCIDR } from '../utils/cidr.js'
+import { toTXTRecord, fitsInResponse } from '../utils/txtRecord.js'
+
+// Flatten a domain's SPF record into ip4:/ip6: ranges
+export async function flattenSPF(domain, options = {}) {
+  const { subdomainPrefix = '_spf' } = options
+
+  try {
+    const lookupResult = await resolveSPFTree(domain, { collectAddresses: true })
+    const { tree } = lookupResult
+
+    if (!tree.record) {
+      return {
+        success: false,
+        error: tree.error === 'multiple-records' ? 'Multiple SPF records found' : 'SPF record not found',
+        domain
+      }
+    }
+
+    const warnings = []
+    const recommendations = []
+    const collected = { networks: [], keptTerms: [] }
+
+    collectFlattenableTerms(tree, collected, warnings, true)
+
+    const networks = collapseCIDRs(collected.networks)
+    const ipTerms = networks.map(network => `ip${network.version}:${formatCIDR(network)}`)
+    const allTerm = `${effectiveAllQualifier(tree)}all`
+
+    const records = buildFlattenedRecords(domain, subdomainPrefix, collected.keptTerms, ipTerms, allTerm)
+    const flattenedLookups = records.length - 1 + collected.keptTerms.filter(isLookupTerm).length
+
+    if (lookupResult.permErrors.length > 0) {
+      lookupResult.permErrors.forEach(error => warnings.push(`Original record: ${error}`))
+    }
+
+    if (flattenedLookups > 10) {
+      warnings.push(`Flattened record still needs ${flattenedLookups} DNS lookups`)
+    }
+
+    recommendations.push('Flattened records must be regenerated whenever your providers change their IP ranges')
+    if (records.length > 1) {
+      recommendations.push(`Publish every record below, including the ${subdomainPrefix}N subrecords`)
+    }
+
+    return {
+      success: true,
+      domain,
+      originalRecord: tree.record,
+      originalLookups: lookupResult.lookupCount,
+      flattenedLookups,
+      networks: {
+        ip4: networks.filter(n => n.version === 4).length,
+        ip6: networks.filter(n => n.version === 6).length,
+        collapsedFrom: collected.networks.length
+      },
+      records,
+      keptTerms: collected.keptTerms,
+      warnings,
+      recommendations
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      domain
+    }
+  }
+}
+
+// Walk the include tree gathering pass networks; subtrees that can't be flattened safely stay as includes
+function collectFlattenableTerms(node, collected, warnings, isRoot = false) {
+  for (const { qualifier, network, source } of node.networks) {
+    if (qualifier === '+') {
+      collected.networks.push(network)
+    } else if (isRoot) {
+      // Explicit non-pass ranges in the root record must stay ahead of the flattened passes
+      collected.keptTerms.unshift(source)
+    } else {
+      warnings.push(`Dropped non-pass term "${source}" from ${node.domain}`)
+    }
+  }
+
+  for (const entry of node.terms) {
+    if (entry.mechanism === 'include' || entry.mechanism === 'redirect') continue
+    if (entry.mechanism === 'ptr' || entry.mechanism === 'exists' || entry.target.includes('%')) {
+      collected.keptTerms.push(entry.term)
+      warnings.push(`"${entry.term}" cannot be flattened – kept as-is`)
+    }
+  }
+
+  for (const child of node.children) {
+    if (!isFlattenable(child)) {
+      collected.keptTerms.push(`include:${child.domain}`)
+      warnings.push(`include:${child.domain} uses ptr, exists, macros or failed to resolve – kept as-is`)
+      continue
+    }
+    collectFlattenableTerms(child, collected, warnings)
+  }
+}
+
+function isFlattenable(node) {
+  if (!node.record || node.error) return false
+
+  const hasDynamicTerm = node.terms.some(entry =>
+    entry.mechanism === 'ptr' || entry.mechanism === 'exists' || entry.target.includes('%')
+  )
+
+  return !hasDynamicTerm && node.children.every(isFlattenable)
+}
+
+function effectiveAllQualifier(node) {
+  if (node.all) return node.all
+
+  const redirect = node.children.find(child => child.via === 'redirect')
+  return redirect ? effectiveAllQualifier(redirect) : '?'
+}
+
+function isLookupTerm(term) {
+  return /^[+\-~?]?(include|a|mx|ptr|exists|redirect)([:=/]|$)/i.test(term)
+}
+
+function buildFlattenedRecords(domain, prefix, keptTerms, ipTerms, allTerm) {
+  const single = ['v=spf1', ...keptTerms, ...ipTerms, allTerm].join(' ')
+  if (fitsInResponse(domain, single)) {
+    return [toTXTRecord(domain, single)]
+  }
+
+  // Pack ip terms into chained subrecords: each one ends by including the next
+  const chunks = []
+  let current = []
+  for (const term of ipTerms) {
+    const name = `${prefix}${chunks.length + 1}.${domain}`
+    const nextName = `${prefix}${chunks.length + 2}.${domain}`
+    const candidate = ['v=spf1', ...current, term, `include:${nextName}`, '-all'].join(' ')
+    if (current.length > 0 && !fitsInResponse(name, candidate)) {
+      chunks.push(current)
+      current = []
+    }
+    current.push(term)
+  }
+  if (current.length > 0) chunks.push(current)
+
+  const subrecords = chunks.map((terms, index) => {
+    const name = `${prefix}${index + 1}.${domain}`
+    const next = index + 1 < chunks.length ? [`include:${prefix}${index + 2}.${domain}`] : []
+    return toTXTRecord(name, ['v=spf1', ...terms, ...next, '-all'].join(' '))
+  })
+
+  const root = ['v=spf1', ...keptTerms, `include:${prefix}1.${domain}`, allTerm].join(' ')
+
+  return [toTXTRecord(domain, root), ...subrecords]
+}
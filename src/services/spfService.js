@@ -1,23 +1,36 @@
 // src/services/spfService.js
-import { Resolver } from 'dns/promises'
-import mailauth from 'mailauth'
+import { checkSPF } from './spfCheckService.js'
+import { parseSPFRecord } from '../utils/spfParser.js'
+import { dnssecSummary } from '../utils/dnssec.js'
+import { resolver } from '../utils/dnsResolver.js'
 
-// DNS resolver (Google + Cloudflare)
-const resolver = new Resolver()
-resolver.setServers(['8.8.8.8', '1.1.1.1'])
+// RFC 7208 §4.6.4 processing limits
+export const MAX_DNS_LOOKUPS = 10
+export const MAX_VOID_LOOKUPS = 2
+export const MAX_MX_HOSTS = 10
+
+// Hard stop for tree expansion so a pathological record can't fan out forever
+const MAX_TREE_LOOKUPS = 50
+
+const LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists']
 
 // SPF Analysis
-export async function analyzeSPF(domain) {
+export async function analyzeSPF(domain, options = {}) {
+  // Runs alongside the lookups below; the shared resolver answers both from one query
+  const dnssec = dnssecSummary([{ name: domain, type: 'TXT' }])
+
   try {
     const txtRecords = await resolver.resolveTxt(domain)
     const flatRecords = txtRecords.map(entry => entry.join(''))
-    const spfRecord = flatRecords.find(txt => txt.startsWith('v=spf1'))
+    const spfRecords = flatRecords.filter(isSPFRecord)
+    const spfRecord = spfRecords[0]
 
     if (!spfRecord) {
       return {
         success: false,
         error: 'SPF record not found',
         domain,
+        dnssec: await dnssec,
         recommendations: [
           'Add an SPF record to your domain to specify which mail servers are authorized to send emails',
           'Example: "v=spf1 include:_spf.google.com ~all" for Google Workspace'
@@ -25,85 +38,353 @@ export async function analyzeSPF(domain) {
       }
     }
 
-    // Use mailauth for comprehensive email authentication
-    let mailauthResult = null
-    try {
-      const testMessage = `From: test@${domain}\r\nTo: test@example.com\r\nSubject: SPF Test\r\n\r\nTest message for SPF analysis`
-      mailauthResult = await mailauth.authenticate(testMessage, {
-        ip: '8.8.8.8', // Google's IP for testing
-        helo: domain,
-        sender: `test@${domain}`
+    // Evaluate a real sending IP when one is supplied
+    let ipCheck = null
+    if (options.ip) {
+      ipCheck = await checkSPF({
+        ip: options.ip,
+        domain,
+        helo: options.helo,
+        mailFrom: options.mailFrom
       })
-    } catch (authError) {
-      console.log('Mailauth SPF error (expected for analysis):', authError.message)
     }
 
-    const analysis = analyzeSPFRecord(spfRecord, mailauthResult)
+    const syntax = parseSPFRecord(spfRecord)
+    const lookupResult = await resolveSPFTree(domain)
+    const analysis = analyzeSPFRecord(syntax, ipCheck, lookupResult, spfRecords)
 
     return {
       success: true,
       domain,
       rawRecord: spfRecord,
-      mailauthResult: mailauthResult,
+      allRecords: spfRecords.length > 1 ? spfRecords : undefined,
+      terms: syntax.terms,
+      syntaxErrors: syntax.errors,
+      ipCheck,
+      includeTree: lookupResult.tree,
+      dnsLookups: {
+        count: lookupResult.lookupCount,
+        limit: MAX_DNS_LOOKUPS,
+        voidCount: lookupResult.voidLookupCount,
+        voidLimit: MAX_VOID_LOOKUPS
+      },
+      permErrors: lookupResult.permErrors,
+      dnssec: await dnssec,
       ...analysis
     }
   } catch (error) {
     return {
       success: false,
       error: error.message,
-      domain
+      domain,
+      dnsStatus: error.status,
+      dnssec: await dnssec
     }
   }
 }
 
-function analyzeSPFRecord(record, spfResult = null) {
+// Recursively expand an SPF record, counting DNS-querying terms per RFC 7208 §4.6.4
+export async function resolveSPFTree(domain, options = {}) {
+  const state = {
+    lookups: 0,
+    voidLookups: 0,
+    permErrors: [],
+    collectAddresses: Boolean(options.collectAddresses)
+  }
+  const tree = await expandSPFNode(domain, null, state, [])
+
+  if (state.lookups > MAX_DNS_LOOKUPS) {
+    addPermError(state, `Too many DNS lookups: ${state.lookups} (limit is ${MAX_DNS_LOOKUPS})`)
+  }
+
+  if (state.voidLookups > MAX_VOID_LOOKUPS) {
+    addPermError(state, `Too many void DNS lookups: ${state.voidLookups} (limit is ${MAX_VOID_LOOKUPS})`)
+  }
+
+  return {
+    tree,
+    lookupCount: state.lookups,
+    voidLookupCount: state.voidLookups,
+    permErrors: state.permErrors
+  }
+}
+
+async function expandSPFNode(domain, via, state, chain) {
+  const node = {
+    domain,
+    via,
+    record: null,
+    lookups: 0,
+    totalLookups: 0,
+    voidLookups: 0,
+    all: null,
+    terms: [],
+    networks: [],
+    children: [],
+    error: null
+  }
+
+  if (chain.includes(domain)) {
+    node.error = 'loop'
+    addPermError(state, `SPF include loop detected: ${[...chain, domain].join(' -> ')}`)
+    return node
+  }
+
+  const lookup = await fetchSPFRecords(domain)
+
+  if (lookup.error) {
+    node.error = lookup.error
+    if (lookup.void && via) {
+      node.voidLookups += 1
+      state.voidLookups += 1
+    }
+    if (via && lookup.error !== 'temperror') {
+      addPermError(state, `${via}:${domain} does not publish an SPF record`)
+    }
+    return node
+  }
+
+  if (lookup.records.length > 1) {
+    node.error = 'multiple-records'
+    addPermError(state, `Multiple SPF records published at ${domain}`)
+    return node
+  }
+
+  node.record = lookup.records[0]
+
+  const syntax = parseSPFRecord(node.record)
+  syntax.errors.forEach(error => addPermError(state, `Syntax error in SPF record for ${domain} at position ${error.position}: ${error.message}`))
+
+  const hasAll = syntax.terms.some(term => term.name === 'all')
+  const nextChain = [...chain, domain]
+
+  for (const { raw: term, qualifier, name, value, cidr4, cidr6, errors } of syntax.terms) {
+    if (errors.length > 0) continue
+
+    if (name === 'all') {
+      node.all = qualifier
+      continue
+    }
+
+    if (name === 'ip4' || name === 'ip6') {
+      node.networks.push({ qualifier, network: value, source: term })
+      continue
+    }
+
+    const isLookup = LOOKUP_MECHANISMS.includes(name) || (name === 'redirect' && !hasAll)
+
+    if (!isLookup) continue
+
+    node.lookups += 1
+    state.lookups += 1
+
+    const target = value || domain
+    const entry = { term, qualifier, mechanism: name, target, void: false }
+    node.terms.push(entry)
+
+    // Macro targets and ptr depend on the connecting client, so they can only be counted
+    if (name === 'ptr' || target.includes('%')) continue
+    if (state.lookups > MAX_TREE_LOOKUPS) continue
+
+    if (name === 'include' || name === 'redirect') {
+      const child = await expandSPFNode(target.toLowerCase(), name, state, nextChain)
+      entry.void = child.voidLookups > 0 && !child.record
+      node.children.push(child)
+      continue
+    }
+
+    const result = await probeMechanismTarget(name, target, state.collectAddresses)
+    if (result.void) {
+      entry.void = true
+      node.voidLookups += 1
+      state.voidLookups += 1
+    }
+    if (result.mxCount > MAX_MX_HOSTS) {
+      addPermError(state, `${name}:${target} returns ${result.mxCount} MX hosts (limit is ${MAX_MX_HOSTS})`)
+    }
+    if (state.collectAddresses) {
+      entry.addresses = result.addresses
+      result.addresses.forEach(address => {
+        const prefix = address.includes(':') ? cidr6 : cidr4
+        node.networks.push({
+          qualifier,
+          network: prefix === null ? address : `${address}/${prefix}`,
+          source: term
+        })
+      })
+    }
+  }
+
+  node.totalLookups = node.lookups + node.children.reduce((sum, child) => sum + child.totalLookups, 0)
+
+  return node
+}
+
+export async function fetchSPFRecords(domain) {
+  try {
+    const txtRecords = await resolver.resolveTxt(domain)
+    const records = txtRecords
+      .map(entry => entry.join(''))
+      .filter(isSPFRecord)
+
+    if (records.length === 0) {
+      return { records, error: 'none', void: false }
+    }
+
+    return { records, error: null }
+  } catch (error) {
+    if (isVoidError(error)) {
+      return { records: [], error: 'none', void: true, dnsStatus: error.status }
+    }
+    return { records: [], error: 'temperror', void: false, dnsStatus: error.status }
+  }
+}
+
+async function probeMechanismTarget(mechanism, target, collectAddresses = false) {
+  try {
+    let hosts = [target]
+    let mxCount = 0
+
+    if (mechanism === 'mx') {
+      const mxRecords = await resolver.resolveMx(target)
+      mxCount = mxRecords.length
+      if (mxCount === 0) return { void: true, mxCount, addresses: [] }
+      if (!collectAddresses) return { void: false, mxCount, addresses: [] }
+      hosts = mxRecords.slice(0, MAX_MX_HOSTS).map(mx => mx.exchange)
+    }
+
+    const answers = await Promise.allSettled(hosts.flatMap(host => [
+      resolver.resolve4(host),
+      mechanism === 'exists' ? Promise.resolve([]) : resolver.resolve6(host)
+    ]))
+    const addresses = answers.flatMap(r => r.status === 'fulfilled' ? r.value : [])
+    const voidAnswer = answers.every(r => r.status === 'fulfilled' || isVoidError(r.reason))
+
+    return {
+      void: mechanism !== 'mx' && addresses.length === 0 && voidAnswer,
+      mxCount,
+      addresses: mechanism === 'exists' ? [] : addresses
+    }
+  } catch (error) {
+    return { void: isVoidError(error), mxCount: 0, addresses: [] }
+  }
+}
+
+// A TXT record is an SPF record when it starts with exactly "v=spf1" (RFC 7208 §4.5)
+function isSPFRecord(txt) {
+  return /^v=spf1( |$)/i.test(txt)
+}
+
+function redirectedAll(node) {
+  if (!node) return null
+  if (node.all) return `${node.all}all`
+
+  const redirect = node.children.find(child => child.via === 'redirect')
+  return redirect ? redirectedAll(redirect) : null
+}
+
+function isVoidError(error) {
+  return error && (error.code === 'ENOTFOUND' || error.code === 'ENODATA')
+}
+
+function addPermError(state, message) {
+  if (!state.permErrors.includes(message)) {
+    state.permErrors.push(message)
+  }
+}
+
+function analyzeSPFRecord(syntax, ipCheck = null, lookupResult = null, records = []) {
   const score = { base: 0, details: [] }
   const warnings = []
   const recommendations = []
 
   // Basic SPF validation
-  if (!record.startsWith('v=spf1')) {
+  if (!syntax.version) {
     warnings.push('Invalid SPF record format')
     return { score: { value: 0, outOf: 5, level: 'Poor' }, warnings, recommendations }
   }
 
-  score.base += 1
-  score.details.push('Valid SPF record format (+1 point)')
+  // The duplicate itself is reported as a permerror by the lookup tree
+  if (records.length > 1) {
+    recommendations.push('Merge your SPF records into a single "v=spf1" TXT record')
+  }
+
+  if (syntax.valid) {
+    score.base += 1
+    score.details.push('Valid SPF record format (+1 point)')
+  } else {
+    syntax.errors.forEach(error => warnings.push(`Syntax error at position ${error.position}: ${error.message}`))
+    recommendations.push('Fix the SPF syntax errors – any syntax error makes the whole record a permerror')
+  }
+
+  syntax.warnings.forEach(warning => warnings.push(warning.message))
 
   // Check for mechanisms
-  const mechanisms = record.split(' ').filter(part => part !== 'v=spf1')
-  
-  if (mechanisms.some(m => m.startsWith('include:'))) {
+  const mechanisms = syntax.terms.filter(term => term.kind === 'mechanism' && term.errors.length === 0)
+
+  if (mechanisms.some(term => term.name === 'include')) {
     score.base += 1
     score.details.push('Uses include mechanism (+1 point)')
   }
 
-  if (mechanisms.some(m => m.startsWith('a') || m.startsWith('mx'))) {
+  if (mechanisms.some(term => term.name === 'a' || term.name === 'mx')) {
     score.base += 1
     score.details.push('Uses a/mx mechanism (+1 point)')
   }
 
-  // Check for proper ending
-  const ending = mechanisms[mechanisms.length - 1]
+  // Check the effective "all" policy, following redirect= when the record has none
+  const allTerm = mechanisms.find(term => term.name === 'all')
+  const ending = allTerm ? `${allTerm.qualifier}all` : redirectedAll(lookupResult?.tree)
+  const endingSource = allTerm || !ending ? '' : ' via redirect'
+
   if (ending === '~all') {
     score.base += 1.5
-    score.details.push('Soft fail policy (~all) (+1.5 points)')
+    score.details.push(`Soft fail policy (~all)${endingSource} (+1.5 points)`)
   } else if (ending === '-all') {
     score.base += 2
-    score.details.push('Hard fail policy (-all) (+2 points)')
+    score.details.push(`Hard fail policy (-all)${endingSource} (+2 points)`)
   } else if (ending === '?all') {
     score.base += 0.5
-    score.details.push('Neutral policy (?all) (+0.5 points)')
+    score.details.push(`Neutral policy (?all)${endingSource} (+0.5 points)`)
     recommendations.push('Consider using ~all or -all for better security')
+  } else if (ending === '+all') {
+    score.base -= 2
+    score.details.push('Pass-all policy (+all) (-2 points)')
+    recommendations.push('Replace +all with ~all or -all – +all lets anyone send as your domain')
   } else {
     warnings.push('SPF record should end with an "all" mechanism')
     recommendations.push('Add ~all or -all at the end of your SPF record')
   }
 
-  // Add mailauth analysis if available
-  if (spfResult) {
-    if (spfResult.status && spfResult.status.result) {
-      score.details.push(`Mailauth SPF check: ${spfResult.status.result}`)
+  // RFC 7208 processing limits
+  if (lookupResult) {
+    const { lookupCount, voidLookupCount, permErrors } = lookupResult
+
+    if (permErrors.length > 0) {
+      score.base -= 3
+      score.details.push('SPF evaluation results in permerror (-3 points)')
+      permErrors.forEach(error => warnings.push(`PermError: ${error}`))
+      recommendations.push('Receivers treat a permerror as an SPF failure – fix the errors above before relying on SPF')
+    }
+
+    if (lookupCount > MAX_DNS_LOOKUPS) {
+      recommendations.push('Reduce DNS lookups by removing unused includes or flattening them to ip4:/ip6: ranges')
+    } else if (lookupCount >= MAX_DNS_LOOKUPS - 2) {
+      warnings.push(`SPF record uses ${lookupCount} of ${MAX_DNS_LOOKUPS} allowed DNS lookups`)
+      recommendations.push('You are close to the DNS lookup limit – adding another include may break SPF')
+    }
+
+    if (voidLookupCount > 0 && voidLookupCount <= MAX_VOID_LOOKUPS) {
+      warnings.push(`SPF record triggers ${voidLookupCount} void DNS lookup(s)`)
+      recommendations.push('Remove mechanisms that point at names without DNS records')
+    }
+  }
+
+  // Add sending IP evaluation if available
+  if (ipCheck && ipCheck.success) {
+    score.details.push(`SPF check for ${ipCheck.ip}: ${ipCheck.result}`)
+    if (['fail', 'softfail', 'permerror'].includes(ipCheck.result)) {
+      warnings.push(`Mail from ${ipCheck.ip} evaluates to SPF ${ipCheck.result}`)
     }
   }
 
@@ -114,7 +395,7 @@ function analyzeSPFRecord(record, spfResult = null) {
   else if (finalScore >= 2) securityLevel = 'Fair'
 
   return {
-    parsed: mechanisms,
+    parsed: syntax.terms.map(term => term.raw),
     warnings,
     recommendations,
     score: {
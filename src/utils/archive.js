@@ -0,0 +1,116 @@
+// src/utils/archive.js
+import { gunzipSync, inflateRawSync } from 'zlib'
+
+// Guard against decompression bombs in uploaded reports: one budget covers every file of a request
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024
+const MAX_EXTRACTED_FILES = 500
+
+// Share one budget between the extractFiles calls for a request; exceeded is set once a limit is hit
+export function createExtractionBudget() {
+  return { bytes: MAX_UNCOMPRESSED_BYTES, files: MAX_EXTRACTED_FILES, exceeded: false }
+}
+
+// Unpack an uploaded file into its contained documents (plain, .gz or .zip), charging them to budget
+export function extractFiles(buffer, filename = 'upload', budget = createExtractionBudget()) {
+  if (isGzip(buffer)) {
+    const data = inflate(() => gunzipSync(buffer, { maxOutputLength: Math.max(budget.bytes, 1) }), budget)
+    return [charge(budget, { name: filename.replace(/\.gz$/i, ''), data })]
+  }
+
+  if (isZip(buffer)) {
+    return readZipEntries(buffer, budget)
+  }
+
+  return [charge(budget, { name: filename, data: buffer })]
+}
+
+function inflate(run, budget) {
+  try {
+    return run()
+  } catch (error) {
+    if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error
+    budget.exceeded = true
+    throw new Error(`Uploaded files expand to more than ${MAX_UNCOMPRESSED_BYTES} bytes`)
+  }
+}
+
+function charge(budget, entry) {
+  budget.files -= 1
+  budget.bytes -= entry.data.length
+  if (budget.files < 0) {
+    budget.exceeded = true
+    throw new Error(`Uploads may contain at most ${MAX_EXTRACTED_FILES} files`)
+  }
+  if (budget.bytes < 0) {
+    budget.exceeded = true
+    throw new Error(`Uploaded files expand to more than ${MAX_UNCOMPRESSED_BYTES} bytes`)
+  }
+  return entry
+}
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b
+}
+
+function isZip(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50
+}
+
+// Read entries via the central directory so sizes are known even when data descriptors are used
+function readZipEntries(buffer, budget) {
+  const endOffset = findEndOfCentralDirectory(buffer)
+  if (endOffset === -1) {
+    throw new Error('Invalid zip archive: end of central directory not found')
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10)
+  let offset = buffer.readUInt32LE(endOffset + 16)
+  const entries = []
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid zip archive: corrupt central directory')
+    }
+
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer.slice(offset + 46, offset + 46 + nameLength).toString('utf8')
+
+    offset += 46 + nameLength + extraLength + commentLength
+
+    // Skip directories
+    if (name.endsWith('/')) continue
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26)
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28)
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength
+    const compressed = buffer.slice(dataStart, dataStart + compressedSize)
+
+    // Declared sizes can lie, so the budget is charged with what each entry actually inflates to
+    let data
+    if (method === 0) {
+      data = compressed
+    } else if (method === 8) {
+      data = inflate(() => inflateRawSync(compressed, { maxOutputLength: Math.max(budget.bytes, 1) }), budget)
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`)
+    }
+
+    entries.push(charge(budget, { name, data }))
+  }
+
+  return entries
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus an optional comment of up to 64KB
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff)
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) return offset
+  }
+  return -1
+}
@@ -0,0 +1,187 @@
+// src/utils/bimiParser.js
+import { XMLParser, XMLValidator } from 'fast-xml-parser'
+
+// BIMI assertion record tags
+const KNOWN_TAGS = ['v', 'l', 'a', 'avp']
+const AVATAR_PREFERENCES = ['brand', 'personal']
+
+// SVG Tiny Portable/Secure profile limits
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+const RECOMMENDED_MAX_LOGO_BYTES = 32 * 1024
+const FORBIDDEN_ELEMENTS = [
+  'script', 'animate', 'animatecolor', 'animatemotion', 'animatetransform', 'set', 'discard',
+  'foreignobject', 'image', 'video', 'audio', 'iframe', 'canvas', 'handler', 'listener'
+]
+
+// Parse a BIMI assertion record (v=BIMI1; l=<svg url>; a=<pem url>)
+export function parseBIMIRecord(record) {
+  const text = String(record)
+  const tags = {}
+  const errors = []
+  const warnings = []
+
+  text.split(';').forEach((part, index) => {
+    if (part.trim() === '') return
+
+    const separator = part.indexOf('=')
+    if (separator === -1) {
+      errors.push(`Malformed tag "${part.trim()}" (expected name=value)`)
+      return
+    }
+
+    const name = part.slice(0, separator).trim().toLowerCase()
+    const value = part.slice(separator + 1).trim()
+
+    if (Object.prototype.hasOwnProperty.call(tags, name)) {
+      errors.push(`Duplicate tag "${name}"`)
+      return
+    }
+
+    if (!KNOWN_TAGS.includes(name)) {
+      warnings.push(`Unknown tag "${name}" is ignored`)
+    }
+
+    tags[name] = { value, index }
+  })
+
+  if (!tags.v) {
+    errors.push('Required tag "v=BIMI1" is missing')
+  } else if (tags.v.index !== 0 || tags.v.value !== 'BIMI1') {
+    errors.push('Record must start with "v=BIMI1"')
+  }
+
+  const location = tags.l?.value || null
+  const authority = tags.a?.value || null
+
+  if (!tags.l) {
+    errors.push('Required tag "l=" is missing')
+  }
+
+  for (const [name, url] of [['l', location], ['a', authority]]) {
+    if (url && !isHTTPSURL(url)) {
+      errors.push(`"${name}=" must be an https:// URL`)
+    }
+  }
+
+  if (tags.avp && !AVATAR_PREFERENCES.includes(tags.avp.value.toLowerCase())) {
+    errors.push(`Invalid "avp=${tags.avp.value}" (expected brand or personal)`)
+  }
+
+  return {
+    tags: Object.fromEntries(Object.entries(tags).map(([name, tag]) => [name, tag.value])),
+    location,
+    authority,
+    // An empty l= without a= is an explicit declination to publish a logo
+    declined: Boolean(tags.l && !location && !authority),
+    errors,
+    warnings,
+    valid: errors.length === 0
+  }
+}
+
+// Validate an SVG document against the SVG Tiny PS rules BIMI requires
+export function validateTinyPSLogo(svg) {
+  const text = Buffer.isBuffer(svg) ? svg.toString('utf8') : String(svg)
+  const bytes = Buffer.byteLength(text)
+  const errors = []
+  const warnings = []
+  const result = { bytes, title: null, viewBox: null, errors, warnings, valid: false }
+
+  const wellFormed = XMLValidator.validate(text)
+  if (wellFormed !== true) {
+    errors.push(`Not well-formed XML: ${wellFormed.err.msg} (line ${wellFormed.err.line})`)
+    return result
+  }
+
+  if (/<!DOCTYPE[^>]*\[/i.test(text) || /<!ENTITY/i.test(text)) {
+    errors.push('Internal DTD subsets and entity declarations are not allowed')
+  }
+
+  const nodes = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', preserveOrder: true }).parse(text)
+  const root = nodes.find(node => elementName(node) && !elementName(node).startsWith('?'))
+
+  if (!root || elementName(root) !== 'svg') {
+    errors.push('Root element must be <svg>')
+    return result
+  }
+
+  const attributes = root[':@'] || {}
+  if (attributes.xmlns !== SVG_NAMESPACE) {
+    errors.push(`Root element must declare xmlns="${SVG_NAMESPACE}"`)
+  }
+  if (attributes.version !== '1.2') {
+    errors.push(`version must be "1.2"${attributes.version ? ` (found "${attributes.version}")` : ''}`)
+  }
+  if (attributes.baseProfile !== 'tiny-ps') {
+    errors.push(`baseProfile must be "tiny-ps"${attributes.baseProfile ? ` (found "${attributes.baseProfile}")` : ''}`)
+  }
+  if ('x' in attributes || 'y' in attributes) {
+    errors.push('Root element must not have x or y attributes')
+  }
+
+  const children = root.svg || []
+  const title = children.find(node => elementName(node) === 'title')
+  result.title = title ? textContent(title.title).trim() || null : null
+  if (!result.title) {
+    errors.push('A non-empty <title> child of the root element is required')
+  }
+
+  if (!attributes.viewBox) {
+    warnings.push('No viewBox; the logo may not scale correctly')
+  } else {
+    const [minX, minY, width, height] = attributes.viewBox.trim().split(/[\s,]+/).map(Number)
+    result.viewBox = { minX, minY, width, height }
+    if (!(width > 0 && height > 0)) {
+      errors.push(`Invalid viewBox "${attributes.viewBox}"`)
+    } else if (width !== height) {
+      warnings.push(`viewBox is ${width}×${height}; mailbox providers expect a square logo`)
+    }
+  }
+
+  walkElements(children, '/svg', (node, name, path) => {
+    if (FORBIDDEN_ELEMENTS.includes(name.toLowerCase())) {
+      errors.push(`<${name}> is not allowed (${path})`)
+    }
+
+    for (const [attribute, value] of Object.entries(node[':@'] || {})) {
+      if (/^on/i.test(attribute)) {
+        errors.push(`Event handler attribute "${attribute}" is not allowed (${path})`)
+      } else if (/^(xlink:)?href$/.test(attribute) && !String(value).startsWith('#')) {
+        errors.push(`External reference "${value}" is not allowed (${path})`)
+      }
+    }
+  })
+
+  if (bytes > RECOMMENDED_MAX_LOGO_BYTES) {
+    warnings.push(`Logo is ${bytes} bytes; keep it under ${RECOMMENDED_MAX_LOGO_BYTES} bytes`)
+  }
+
+  result.valid = errors.length === 0
+  return result
+}
+
+export function isHTTPSURL(value) {
+  try {
+    return new URL(value).protocol === 'https:'
+  } catch (error) {
+    return false
+  }
+}
+
+function elementName(node) {
+  return Object.keys(node).find(key => key !== ':@' && key !== '#text')
+}
+
+function textContent(nodes) {
+  return (nodes || []).map(node => node['#text'] ?? textContent(node[elementName(node)])).join('')
+}
+
+function walkElements(nodes, path, visit) {
+  for (const node of nodes) {
+    const name = elementName(node)
+    if (!name || name.startsWith('?') || name.startsWith('!')) continue
+    const childPath = `${path}/${name}`
+    visit(node, name, childPath)
+    walkElements(node[name] || [], childPath, visit)
+  }
+}
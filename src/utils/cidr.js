@@ -0,0 +1,180 @@
+// src/utils/cidr.js
+import { isIPv4, isIPv6 } from 'net'
+
+// Parse "192.0.2.0/24" or "2001:db8::/32" into a normalized network (host bits cleared)
+export function parseCIDR(value) {
+  const [address, prefixText] = String(value).trim().split('/')
+  const version = isIPv4(address) ? 4 : isIPv6(address) ? 6 : null
+
+  if (!version) return null
+
+  const bits = version === 4 ? 32 : 128
+  const prefix = prefixText === undefined ? bits : Number(prefixText)
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits || (prefixText !== undefined && !/^\d+$/.test(prefixText))) {
+    return null
+  }
+
+  const start = addressToBigInt(address, version) & prefixMask(prefix, bits)
+  return { version, start, prefix }
+}
+
+// Special-purpose address blocks that are never reachable on the public Internet
+// (RFC 6890 registries; 6to4, Teredo and global-unicast exceptions omitted)
+const RESERVED_RANGES = [
+  ['0.0.0.0/8', 'this network'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'shared address space (CGNAT)'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'IETF protocol assignments'],
+  ['192.0.2.0/24', 'documentation'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['224.0.0.0/4', 'multicast'],
+  ['240.0.0.0/4', 'reserved'],
+  ['::/128', 'unspecified'],
+  ['::1/128', 'loopback'],
+  ['::ffff:0:0/96', 'IPv4-mapped'],
+  ['64:ff9b:1::/48', 'local-use IPv4/IPv6 translation'],
+  ['100::/64', 'discard-only'],
+  ['2001:db8::/32', 'documentation'],
+  ['fc00::/7', 'unique local'],
+  ['fe80::/10', 'link-local'],
+  ['ff00::/8', 'multicast']
+].map(([cidr, name]) => ({ cidr, name, network: parseCIDR(cidr) }))
+
+// Return { cidr, name } of the special-purpose block containing address, or null
+export function reservedRange(address) {
+  const ip = parseCIDR(address)
+  if (!ip) return null
+
+  const bits = ip.version === 4 ? 32 : 128
+  const match = RESERVED_RANGES.find(({ network }) =>
+    network.version === ip.version && (ip.start & prefixMask(network.prefix, bits)) === network.start)
+  return match ? { cidr: match.cidr, name: match.name } : null
+}
+
+// 192.0.2.1 => 1.2.0.192; IPv6 uses reversed nibbles (the labels before in-addr.arpa / ip6.arpa)
+export function reverseAddress(address) {
+  const network = parseCIDR(address)
+  if (network.version === 4) {
+    return String(address).trim().split('.').reverse().join('.')
+  }
+  return network.start.toString(16).padStart(32, '0').split('').reverse().join('.')
+}
+
+export function formatCIDR(network) {
+  const bits = network.version === 4 ? 32 : 128
+  const address = bigIntToAddress(network.start, network.version)
+  return network.prefix === bits ? address : `${address}/${network.prefix}`
+}
+
+// Drop networks contained in others and merge adjacent sibling blocks
+export function collapseCIDRs(values) {
+  const networks = values
+    .map(value => typeof value === 'string' ? parseCIDR(value) : value)
+    .filter(Boolean)
+
+  return [4, 6].flatMap(version => collapseFamily(networks.filter(n => n.version === version), version))
+}
+
+function collapseFamily(networks, version) {
+  const bits = version === 4 ? 32 : 128
+  const sorted = [...networks].sort((a, b) => (a.start === b.start ? a.prefix - b.prefix : a.start < b.start ? -1 : 1))
+
+  // Remove networks fully covered by an earlier (wider or equal) block
+  const covered = []
+  for (const network of sorted) {
+    const last = covered[covered.length - 1]
+    if (last && network.start >= last.start && networkEnd(network, bits) <= networkEnd(last, bits)) continue
+    covered.push(network)
+  }
+
+  // Repeatedly merge pairs of sibling blocks into their parent
+  const stack = []
+  for (const network of covered) {
+    stack.push(network)
+    while (stack.length >= 2) {
+      const right = stack[stack.length - 1]
+      const left = stack[stack.length - 2]
+      if (left.prefix !== right.prefix || left.prefix === 0) break
+
+      const parentPrefix = left.prefix - 1
+      const parentStart = left.start & prefixMask(parentPrefix, bits)
+      const size = 1n << BigInt(bits - left.prefix)
+      if (parentStart !== left.start || right.start !== left.start + size) break
+
+      stack.splice(-2, 2, { version, start: parentStart, prefix: parentPrefix })
+    }
+  }
+
+  return stack
+}
+
+function networkEnd(network, bits) {
+  return network.start + (1n << BigInt(bits - network.prefix)) - 1n
+}
+
+function prefixMask(prefix, bits) {
+  const all = (1n << BigInt(bits)) - 1n
+  return prefix === 0 ? 0n : (all >> BigInt(bits - prefix)) << BigInt(bits - prefix)
+}
+
+function addressToBigInt(address, version) {
+  if (version === 4) {
+    return address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(Number(octet)), 0n)
+  }
+
+  let text = address
+  // Embedded IPv4 suffix, e.g. ::ffff:192.0.2.1
+  const v4Match = text.match(/(\d+\.\d+\.\d+\.\d+)$/)
+  if (v4Match) {
+    const v4 = addressToBigInt(v4Match[1], 4)
+    text = text.slice(0, -v4Match[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`
+  }
+
+  const [head, tail] = text.split('::')
+  const headParts = head ? head.split(':') : []
+  const tailParts = tail !== undefined && tail ? tail.split(':') : []
+  const missing = 8 - headParts.length - tailParts.length
+  const groups = tail !== undefined
+    ? [...headParts, ...Array(missing).fill('0'), ...tailParts]
+    : headParts
+
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n)
+}
+
+function bigIntToAddress(value, version) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.')
+  }
+
+  const groups = []
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16))
+  }
+
+  // Compress the longest run of zero groups (RFC 5952)
+  let bestStart = -1
+  let bestLength = 0
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i] !== '0') continue
+    let j = i
+    while (j < groups.length && groups[j] === '0') j++
+    if (j - i > bestLength && j - i > 1) {
+      bestStart = i
+      bestLength = j - i
+    }
+    i = j
+  }
+
+  if (bestStart === -1) return groups.join(':')
+
+  const head = groups.slice(0, bestStart).join(':')
+  const tail = groups.slice(bestStart + bestLength).join(':')
+  return `${head}::${tail}`
+}
@@ -0,0 +1,223 @@
+// src/utils/dkimParser.js
+import { createPublicKey, KeyObject } from 'crypto'
+
+// RFC 6376 §3.6.1 key record tags
+const KNOWN_TAGS = ['v', 'h', 'k', 'n', 'p', 's', 't']
+const KEY_TYPES = ['rsa', 'ed25519']
+const HASH_ALGORITHMS = ['sha1', 'sha256']
+const SERVICE_TYPES = ['*', 'email']
+const FLAGS = ['y', 's']
+
+// DER prefix that wraps a raw 32-byte Ed25519 key into SubjectPublicKeyInfo
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex')
+
+// Parse a DKIM key record's tag=value list with positional diagnostics
+export function parseDKIMRecord(record) {
+  const text = String(record)
+  const tags = {}
+  const errors = []
+  const warnings = []
+  const unknownTags = []
+
+  let position = 0
+  const parts = text.split(';')
+  parts.forEach((part, index) => {
+    const start = position
+    position += part.length + 1
+
+    if (part.trim() === '') {
+      if (index < parts.length - 1) warnings.push({ position: start, message: 'Empty tag in record' })
+      return
+    }
+
+    const separator = part.indexOf('=')
+    if (separator === -1) {
+      errors.push({ position: start + part.search(/\S/), message: `Malformed tag "${part.trim()}" (expected name=value)` })
+      return
+    }
+
+    const name = part.slice(0, separator).trim()
+    const value = part.slice(separator + 1).trim()
+
+    if (!/^[a-z][a-z0-9_]*$/i.test(name)) {
+      errors.push({ position: start + part.search(/\S/), message: `Invalid tag name "${name}"` })
+      return
+    }
+
+    // Tag names are case-sensitive; duplicates invalidate the record (RFC 6376 §3.2)
+    if (Object.prototype.hasOwnProperty.call(tags, name)) {
+      errors.push({ position: start + part.search(/\S/), message: `Duplicate tag "${name}"` })
+      return
+    }
+
+    if (!KNOWN_TAGS.includes(name)) {
+      unknownTags.push(name)
+    }
+
+    tags[name] = { value, position: start + part.search(/\S/), index }
+  })
+
+  if (tags.v) {
+    if (tags.v.index !== 0) {
+      errors.push({ position: tags.v.position, message: '"v=" must be the first tag' })
+    }
+    if (tags.v.value !== 'DKIM1') {
+      errors.push({ position: tags.v.position, message: `Unsupported version "v=${tags.v.value}" (expected DKIM1)` })
+    }
+  }
+
+  if (!tags.p) {
+    errors.push({ position: text.length, message: 'Required tag "p=" is missing' })
+  }
+
+  const keyType = tags.k ? tags.k.value.toLowerCase() : 'rsa'
+  if (!KEY_TYPES.includes(keyType)) {
+    errors.push({ position: tags.k.position, message: `Unknown key type "k=${tags.k.value}"` })
+  }
+
+  const hashAlgorithms = tags.h ? splitList(tags.h.value) : null
+  if (hashAlgorithms) {
+    const unknown = hashAlgorithms.filter(alg => !HASH_ALGORITHMS.includes(alg))
+    if (unknown.length === hashAlgorithms.length) {
+      errors.push({ position: tags.h.position, message: `No supported hash algorithm in "h=${tags.h.value}"` })
+    } else if (unknown.length > 0) {
+      warnings.push({ position: tags.h.position, message: `Ignoring unknown hash algorithm(s): ${unknown.join(', ')}` })
+    }
+  }
+
+  const serviceTypes = tags.s ? splitList(tags.s.value) : ['*']
+  if (tags.s && !serviceTypes.some(type => SERVICE_TYPES.includes(type))) {
+    errors.push({ position: tags.s.position, message: `Service type "s=${tags.s.value}" does not allow email` })
+  }
+
+  const flags = tags.t ? splitList(tags.t.value) : []
+  const unknownFlags = flags.filter(flag => !FLAGS.includes(flag))
+  if (unknownFlags.length > 0) {
+    warnings.push({ position: tags.t.position, message: `Ignoring unknown flag(s): ${unknownFlags.join(', ')}` })
+  }
+
+  if (tags.n && /[^\x21-\x7e\s]/.test(tags.n.value)) {
+    warnings.push({ position: tags.n.position, message: 'Notes (n=) contain non-ASCII characters and should be quoted-printable' })
+  }
+
+  const key = tags.p ? inspectPublicKey(tags.p.value, keyType) : null
+  if (key && key.error) {
+    errors.push({ position: tags.p.position, message: key.error })
+  }
+
+  return {
+    tags: Object.fromEntries(Object.entries(tags).map(([name, tag]) => [name, tag.value])),
+    keyType,
+    hashAlgorithms: hashAlgorithms || HASH_ALGORITHMS,
+    serviceTypes,
+    flags: {
+      testing: flags.includes('y'),
+      strict: flags.includes('s')
+    },
+    notes: tags.n ? tags.n.value : null,
+    key,
+    unknownTags,
+    errors: errors.sort((a, b) => a.position - b.position),
+    warnings,
+    valid: errors.length === 0
+  }
+}
+
+// Decode the p= value and report algorithm and key size
+export function inspectPublicKey(value, keyType = 'rsa') {
+  const base64 = value.replace(/\s+/g, '')
+
+  if (base64 === '') {
+    return { type: keyType, revoked: true, bits: null, error: null }
+  }
+
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    return { type: keyType, revoked: false, bits: null, error: 'Public key is not valid base64' }
+  }
+
+  const der = Buffer.from(base64, 'base64')
+
+  if (keyType === 'ed25519') {
+    // RFC 8463 publishes the raw 32-byte key rather than SubjectPublicKeyInfo
+    if (der.length !== 32) {
+      return { type: 'ed25519', revoked: false, bits: null, error: `Ed25519 key must be 32 bytes, found ${der.length}` }
+    }
+    try {
+      createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, der]), format: 'der', type: 'spki' })
+      return { type: 'ed25519', revoked: false, bits: 256, error: null }
+    } catch (error) {
+      return { type: 'ed25519', revoked: false, bits: null, error: 'Ed25519 key could not be decoded' }
+    }
+  }
+
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      const publicKey = createPublicKey({ key: der, format: 'der', type })
+      if (publicKey.asymmetricKeyType !== 'rsa') {
+        return { type: publicKey.asymmetricKeyType, revoked: false, bits: null, error: `Key is ${publicKey.asymmetricKeyType}, expected rsa` }
+      }
+      return {
+        type: 'rsa',
+        revoked: false,
+        bits: publicKey.asymmetricKeyDetails.modulusLength,
+        encoding: type,
+        error: null
+      }
+    } catch (error) {
+      // try the next encoding
+    }
+  }
+
+  return { type: 'rsa', revoked: false, bits: null, error: 'RSA public key could not be decoded' }
+}
+
+// Encode a PEM, base64 DER or KeyObject public key as a p= value
+export function encodePublicKey(input) {
+  let publicKey
+  try {
+    if (input instanceof KeyObject) {
+      publicKey = input.type === 'private' ? createPublicKey(input) : input
+    } else {
+      const text = String(input).trim()
+      publicKey = text.includes('-----BEGIN')
+        ? createPublicKey(text)
+        : createPublicKey({ key: Buffer.from(text.replace(/\s+/g, ''), 'base64'), format: 'der', type: 'spki' })
+    }
+  } catch (error) {
+    throw new Error('Key could not be decoded as an RSA or Ed25519 key')
+  }
+
+  const der = publicKey.export({ format: 'der', type: 'spki' })
+
+  if (publicKey.asymmetricKeyType === 'ed25519') {
+    // RFC 8463 publishes the raw 32-byte key
+    return { type: 'ed25519', bits: 256, value: der.slice(-32).toString('base64'), der }
+  }
+
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    return { type: 'rsa', bits: publicKey.asymmetricKeyDetails.modulusLength, value: der.toString('base64'), der }
+  }
+
+  throw new Error(`Unsupported key type ${publicKey.asymmetricKeyType}; DKIM uses rsa or ed25519`)
+}
+
+// Decode a p= value to SubjectPublicKeyInfo DER so differently encoded keys can be compared
+export function publicKeyToSPKI(value, keyType = 'rsa') {
+  const der = Buffer.from(String(value).replace(/\s+/g, ''), 'base64')
+  if (keyType === 'ed25519') {
+    return der.length === 32 ? Buffer.concat([ED25519_SPKI_PREFIX, der]) : null
+  }
+
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      return createPublicKey({ key: der, format: 'der', type }).export({ format: 'der', type: 'spki' })
+    } catch (error) {
+      // try the next encoding
+    }
+  }
+  return null
+}
+
+function splitList(value) {
+  return value.split(':').map(item => item.trim().toLowerCase()).filter(Boolean)
+}
@@ -0,0 +1,237 @@
+// src/utils/dmarcParser.js
+
+// RFC 7489 §6.3 tags plus the DMARCbis additions
+const RFC7489_TAGS = ['v', 'p', 'sp', 'adkim', 'aspf', 'fo', 'rf', 'ri', 'pct', 'rua', 'ruf']
+const DMARCBIS_TAGS = ['np', 'psd', 't']
+const POLICIES = ['none', 'quarantine', 'reject']
+const ALIGNMENT_MODES = ['r', 's']
+const FAILURE_OPTIONS = ['0', '1', 'd', 's']
+const REPORT_FORMATS = ['afrf']
+const MAX_REPORT_INTERVAL = 4294967295
+
+// Unit suffixes for report size limits
+const SIZE_MULTIPLIERS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 }
+
+// Strictly parse a DMARC record's tag=value list with positional diagnostics
+export function parseDMARCRecord(record) {
+  const text = String(record)
+  const tags = {}
+  const tagList = []
+  const duplicates = []
+  const errors = []
+  const warnings = []
+
+  let position = 0
+  const parts = text.split(';')
+  parts.forEach((part, index) => {
+    const start = position
+    position += part.length + 1
+
+    if (part.trim() === '') {
+      if (index < parts.length - 1) warnings.push({ position: start, message: 'Empty tag in record' })
+      return
+    }
+
+    const tagStart = start + part.search(/\S/)
+    const separator = part.indexOf('=')
+    if (separator === -1) {
+      errors.push({ position: tagStart, message: `Malformed tag "${part.trim()}" (expected name=value)` })
+      return
+    }
+
+    const name = part.slice(0, separator).trim()
+    const rawValue = part.slice(separator + 1)
+    const value = rawValue.trim()
+    const valuePosition = start + separator + 1 + Math.max(rawValue.search(/\S/), 0)
+
+    if (!/^[a-z][a-z0-9_]*$/i.test(name)) {
+      errors.push({ position: tagStart, message: `Invalid tag name "${name}"` })
+      return
+    }
+
+    const key = name.toLowerCase()
+    if (Object.prototype.hasOwnProperty.call(tags, key)) {
+      errors.push({ position: tagStart, message: `Duplicate tag "${key}"` })
+      duplicates.push({ name: key, value, position: tagStart })
+      return
+    }
+
+    const tag = { name: key, value, position: tagStart, valuePosition, index: tagList.length }
+    tags[key] = tag
+    tagList.push(tag)
+  })
+
+  // Tag order: v first, p immediately after
+  if (!tags.v) {
+    errors.push({ position: 0, message: 'Required tag "v=DMARC1" is missing' })
+  } else {
+    if (tags.v.index !== 0) {
+      errors.push({ position: tags.v.position, message: '"v=" must be the first tag' })
+    }
+    if (tags.v.value !== 'DMARC1') {
+      errors.push({ position: tags.v.valuePosition, message: `Invalid version "${tags.v.value}" (expected DMARC1)` })
+    }
+  }
+
+  if (!tags.p) {
+    errors.push({ position: text.length, message: 'Required tag "p=" is missing' })
+  } else if (tags.p.index !== 1) {
+    errors.push({ position: tags.p.position, message: '"p=" must immediately follow "v=DMARC1"' })
+  }
+
+  for (const tag of tagList) {
+    validateTag(tag, errors, warnings)
+  }
+
+  if (tags.t && tags.pct) {
+    warnings.push({ position: tags.pct.position, message: '"pct=" is replaced by "t=" in DMARCbis; publish only one of them' })
+  }
+
+  if (tags.sp && tags.psd?.value.toLowerCase() === 'y') {
+    warnings.push({ position: tags.sp.position, message: '"sp=" on a public suffix domain (psd=y) applies to every registered domain below it' })
+  }
+
+  return {
+    tags: Object.fromEntries(tagList.map(tag => [tag.name, tag.value])),
+    tagList: tagList.map(({ index, ...tag }) => tag),
+    duplicates,
+    errors: errors.sort((a, b) => a.position - b.position),
+    warnings: warnings.sort((a, b) => a.position - b.position),
+    valid: errors.length === 0
+  }
+}
+
+// Validate a single tag's value outside of a record
+export function validateDMARCTag(name, value) {
+  const errors = []
+  const warnings = []
+  validateTag({ name: name.toLowerCase(), value: String(value).trim(), position: 0, valuePosition: 0 }, errors, warnings)
+  return { errors, warnings, valid: errors.length === 0 }
+}
+
+// mailto:address[!size[k|m|g|t]] (RFC 7489 §6.2)
+export function parseReportURI(uri) {
+  const match = /^([a-z][a-z0-9+.-]*):([^!]*)(?:!(\d+)([kmgt]?))?$/i.exec(uri)
+  const destination = { uri, valid: false, deliverable: false }
+
+  if (!match) {
+    destination.error = 'Malformed report URI'
+    return destination
+  }
+
+  destination.scheme = match[1].toLowerCase()
+  try {
+    destination.address = decodeURIComponent(match[2])
+  } catch (error) {
+    destination.address = match[2]
+  }
+  destination.maxSize = match[3]
+    ? { value: Number(match[3]), unit: match[4].toLowerCase() || null, bytes: Number(match[3]) * SIZE_MULTIPLIERS[match[4].toLowerCase()] }
+    : null
+
+  if (destination.scheme !== 'mailto') {
+    destination.error = `Unsupported report URI scheme "${destination.scheme}" (only mailto is used by receivers)`
+    return destination
+  }
+
+  const domain = /@([^@\s]+)$/.exec(destination.address)?.[1]
+  if (!domain) {
+    destination.error = 'Report address has no domain'
+    return destination
+  }
+
+  destination.domain = domain.toLowerCase()
+  destination.valid = true
+  return destination
+}
+
+function validateTag(tag, errors, warnings) {
+  const { name, value, position, valuePosition } = tag
+  const lower = value.toLowerCase()
+
+  if (value === '' && name !== 'v') {
+    errors.push({ position: valuePosition, message: `Tag "${name}" has an empty value` })
+    return
+  }
+
+  switch (name) {
+    case 'p':
+    case 'sp':
+    case 'np':
+      if (!POLICIES.includes(lower)) {
+        errors.push({ position: valuePosition, message: `Invalid policy "${name}=${value}" (expected none, quarantine or reject)` })
+      }
+      break
+    case 'adkim':
+    case 'aspf':
+      if (!ALIGNMENT_MODES.includes(lower)) {
+        errors.push({ position: valuePosition, message: `Invalid alignment mode "${name}=${value}" (expected r or s)` })
+      }
+      break
+    case 'fo':
+      validateList(value, valuePosition, option => FAILURE_OPTIONS.includes(option.toLowerCase()),
+        option => `Invalid failure reporting option "${option}" (expected 0, 1, d or s)`, errors)
+      break
+    case 'rf':
+      validateList(value, valuePosition, format => REPORT_FORMATS.includes(format.toLowerCase()),
+        format => `Unsupported report format "${format}" (expected afrf)`, errors)
+      break
+    case 'pct':
+      if (!/^\d+$/.test(value) || Number(value) > 100) {
+        errors.push({ position: valuePosition, message: `"pct=${value}" must be an integer from 0 to 100` })
+      }
+      break
+    case 'ri':
+      if (!/^\d+$/.test(value) || Number(value) > MAX_REPORT_INTERVAL) {
+        errors.push({ position: valuePosition, message: `"ri=${value}" must be a non-negative 32-bit integer` })
+      } else if (Number(value) < 3600 || Number(value) > 86400) {
+        warnings.push({ position: valuePosition, message: `"ri=${value}" is outside the 1 hour to 1 day range receivers are expected to honour` })
+      }
+      break
+    case 'rua':
+    case 'ruf':
+      validateURIList(value, valuePosition, errors)
+      break
+    case 'psd':
+      if (!['y', 'n', 'u'].includes(lower)) {
+        errors.push({ position: valuePosition, message: `Invalid "psd=${value}" (expected y, n or u)` })
+      }
+      break
+    case 't':
+      if (!['y', 'n'].includes(lower)) {
+        errors.push({ position: valuePosition, message: `Invalid "t=${value}" (expected y or n)` })
+      }
+      break
+    default:
+      if (!RFC7489_TAGS.includes(name)) {
+        warnings.push({ position, message: `Unknown tag "${name}" is ignored by receivers` })
+      }
+  }
+
+  if (DMARCBIS_TAGS.includes(name)) {
+    warnings.push({ position, message: `"${name}=" is a DMARCbis tag; receivers implementing only RFC 7489 ignore it` })
+  }
+}
+
+function validateList(value, valuePosition, isValid, describe, errors) {
+  let offset = 0
+  for (const item of value.split(':')) {
+    const trimmed = item.trim()
+    if (!isValid(trimmed)) {
+      errors.push({ position: valuePosition + offset + Math.max(item.search(/\S/), 0), message: describe(trimmed) })
+    }
+    offset += item.length + 1
+  }
+}
+
+function validateURIList(value, valuePosition, errors) {
+  let offset = 0
+  for (const item of value.split(',')) {
+    const trimmed = item.trim()
+    const destination = parseReportURI(trimmed)
+    if (!destination.valid) {
+      errors.push({ position: valuePosition + offset + Math.max(item.search(/\S/), 0), message: `${destination.error}: "${trimmed}"` })
+    }
+    offset += item.length + 1
+  }
+}
@@ -0,0 +1,246 @@
+// src/utils/dnsResolver.js
+import { isIP } from 'net'
+import { queryDNS } from './dnsWire.js'
+import { reverseAddress } from './cidr.js'
+
+// Shared DNS resolver for all services, configured from the environment:
+// DNS_SERVERS="8.8.8.8,1.1.1.1"   DNS_TIMEOUT_MS=5000   DNS_RETRIES=1
+// DNS_OVER_HTTPS=https://cloudflare-dns.com/dns-query (replaces DNS_SERVERS)
+// DNS_CACHE=false   DNS_CACHE_SIZE=5000   DNS_CACHE_MAX_TTL=3600   DNS_NEGATIVE_TTL=300
+const DEFAULT_CONFIG = {
+  servers: (process.env.DNS_SERVERS || '8.8.8.8,1.1.1.1').split(',').map(server => server.trim()).filter(Boolean),
+  timeout: envNumber(process.env.DNS_TIMEOUT_MS, 5000),
+  retries: envNumber(process.env.DNS_RETRIES, 1),
+  url: process.env.DNS_OVER_HTTPS || null,
+  cache: process.env.DNS_CACHE !== 'false',
+  cacheSize: envNumber(process.env.DNS_CACHE_SIZE, 5000),
+  maxTTL: envNumber(process.env.DNS_CACHE_MAX_TTL, 3600),
+  negativeTTL: envNumber(process.env.DNS_NEGATIVE_TTL, 300)
+}
+
+// Lookup statuses and the Node.js dns error codes services already check for
+const ERROR_CODES = {
+  NXDOMAIN: 'ENOTFOUND',
+  NODATA: 'ENODATA',
+  SERVFAIL: 'ESERVFAIL',
+  REFUSED: 'EREFUSED',
+  FORMERR: 'EFORMERR',
+  NOTIMP: 'ENOTIMP',
+  TIMEOUT: 'ETIMEOUT',
+  ERROR: 'ECONNREFUSED'
+}
+const NEGATIVE_STATUSES = ['NXDOMAIN', 'NODATA']
+const FIXTURE_TTL = 300
+const MAX_CNAME_CHAIN = 8
+
+let config = { ...DEFAULT_CONFIG }
+let backend = networkBackend
+const cache = new Map()
+const pending = new Map()
+
+// Look up one name/type without throwing
+// Returns { name, type, status, records, ttl, authenticated, cached }; status is NOERROR, NXDOMAIN, NODATA, SERVFAIL, REFUSED, TIMEOUT or ERROR
+// authenticated mirrors the AD bit, so DNS_SERVERS should be validating resolvers (the defaults are)
+// options.dnssec adds dnssec: secure, insecure, bogus (SERVFAIL that disappears with CD set) or indeterminate
+export async function lookup(name, type = 'A', options = {}) {
+  const normalized = String(name).toLowerCase().replace(/\.$/, '')
+  const rrtype = String(type).toUpperCase()
+  const result = await cachedLookup(normalized, rrtype, false)
+  if (!options.dnssec) return result
+
+  let dnssec = 'indeterminate'
+  if (['NOERROR', 'NXDOMAIN', 'NODATA'].includes(result.status)) {
+    dnssec = result.authenticated ? 'secure' : 'insecure'
+  } else if (result.status === 'SERVFAIL') {
+    const unchecked = await cachedLookup(normalized, rrtype, true)
+    if (['NOERROR', 'NXDOMAIN', 'NODATA'].includes(unchecked.status)) dnssec = 'bogus'
+  }
+  return { ...result, dnssec }
+}
+
+// dns/promises-compatible methods: resolve to records or throw an error with a Node.js code and a lookup status
+export const resolver = {
+  resolve: (name, type = 'A') => type.toUpperCase() === 'SOA' ? resolveSoa(name) : records(name, type),
+  resolve4: name => records(name, 'A'),
+  resolve6: name => records(name, 'AAAA'),
+  resolveTxt: name => records(name, 'TXT'),
+  resolveMx: name => records(name, 'MX'),
+  resolveCname: name => records(name, 'CNAME'),
+  resolveNs: name => records(name, 'NS'),
+  resolvePtr: name => records(name, 'PTR'),
+  resolveSoa,
+  reverse: address => {
+    if (!isIP(address)) {
+      return Promise.reject(Object.assign(new Error(`Invalid IP address: ${address}`), { code: 'EINVAL' }))
+    }
+    return records(`${reverseAddress(address)}.${isIP(address) === 4 ? 'in-addr.arpa' : 'ip6.arpa'}`, 'PTR')
+  }
+}
+
+// Override servers, timeout, retries, url (DNS-over-HTTPS) or cache settings; clears the cache
+export function configureResolver(options = {}) {
+  config = { ...config, ...options }
+  clearDNSCache()
+}
+
+// Answer every query from an in-memory zone instead of the network, e.g. in tests:
+// { 'example.com': { MX: [{ exchange: 'mx.example.com', priority: 10 }], TXT: [['v=spf1 -all']], DNSSEC: 'secure' },
+//   'www.example.com': { CNAME: ['example.com'] }, 'broken.example': 'SERVFAIL', 'slow.example': { TXT: 'TIMEOUT' } }
+// Missing names answer NXDOMAIN, missing types NODATA; DNSSEC: 'secure' sets the AD bit,
+// DNSSEC: 'bogus' answers SERVFAIL unless checking is disabled
+export function useZoneFixture(zone) {
+  const names = Object.fromEntries(Object.entries(zone).map(([name, records]) => [name.toLowerCase().replace(/\.$/, ''), records]))
+  backend = async (name, type, checkingDisabled) => answerFromZone(names, name, type, checkingDisabled)
+  clearDNSCache()
+}
+
+// Back to the network with the environment configuration
+export function resetResolver() {
+  config = { ...DEFAULT_CONFIG }
+  backend = networkBackend
+  clearDNSCache()
+}
+
+export function clearDNSCache() {
+  cache.clear()
+}
+
+async function records(name, type) {
+  const result = await lookup(name, type)
+  if (result.status !== 'NOERROR') {
+    throw lookupError(result)
+  }
+  return result.records
+}
+
+async function resolveSoa(name) {
+  return (await records(name, 'SOA'))[0]
+}
+
+async function cachedLookup(name, type, checkingDisabled) {
+  const key = `${type} ${name}${checkingDisabled ? ' +cd' : ''}`
+
+  const hit = cache.get(key)
+  if (hit && hit.expires > Date.now()) {
+    // Re-insert so the Map's order tracks recent use for eviction
+    cache.delete(key)
+    cache.set(key, hit)
+    return { ...hit.result, cached: true }
+  }
+  cache.delete(key)
+
+  // Concurrent analyzers often ask the same question; share one query
+  if (!pending.has(key)) {
+    pending.set(key, resolveUncached(name, type, checkingDisabled, key).finally(() => pending.delete(key)))
+  }
+  return { ...(await pending.get(key)), cached: false }
+}
+
+async function resolveUncached(name, type, checkingDisabled, key) {
+  let answer
+  try {
+    answer = await backend(name, type, checkingDisabled)
+  } catch (error) {
+    answer = { status: error.code === 'ETIMEOUT' ? 'TIMEOUT' : 'ERROR', records: [], error: error.message }
+  }
+
+  const result = {
+    name,
+    type,
+    status: answer.status,
+    records: answer.records || [],
+    ttl: answer.ttl ?? null,
+    authenticated: Boolean(answer.authenticated)
+  }
+  if (answer.error) result.error = answer.error
+
+  // Only definite answers are cached; SERVFAIL and timeouts are retried on the next lookup
+  const ttl = answer.status === 'NOERROR'
+    ? Math.min(answer.ttl ?? 0, config.maxTTL)
+    : NEGATIVE_STATUSES.includes(answer.status) ? Math.min(answer.ttl ?? config.negativeTTL, config.negativeTTL) : 0
+
+  if (config.cache && ttl > 0) {
+    cache.set(key, { result, expires: Date.now() + ttl * 1000 })
+    while (cache.size > config.cacheSize) {
+      cache.delete(cache.keys().next().value)
+    }
+  }
+
+  return result
+}
+
+// The DO bit is always set so every cached answer carries the resolver's AD bit
+async function networkBackend(name, type, checkingDisabled) {
+  const response = await queryDNS(name, type, {
+    servers: config.servers,
+    url: config.url,
+    timeout: config.timeout,
+    retries: config.retries,
+    checkingDisabled
+  })
+  const authenticated = response.authenticated
+
+  if (response.rcode !== 'NOERROR') {
+    return { status: response.rcode, records: [], ttl: negativeTTL(response), authenticated }
+  }
+
+  // Answers may start with the CNAME chain leading to the requested records
+  const answers = response.answers.filter(answer => answer.type === type && answer.value !== null)
+  if (answers.length === 0) {
+    return { status: 'NODATA', records: [], ttl: negativeTTL(response), authenticated }
+  }
+
+  return {
+    status: 'NOERROR',
+    records: answers.map(answer => answer.value),
+    ttl: Math.min(...response.answers.map(answer => answer.ttl)),
+    authenticated
+  }
+}
+
+// RFC 2308 §5: negative answers live for the lesser of the SOA TTL and its minimum field
+function negativeTTL(response) {
+  const soa = response.authority.find(record => record.type === 'SOA')
+  return soa ? Math.min(soa.ttl, soa.value.minttl) : null
+}
+
+// A CNAME chain is authenticated only when every name along it is marked secure
+function answerFromZone(zone, name, type, checkingDisabled) {
+  let current = name
+  let authenticated = true
+  for (let hops = 0; hops <= MAX_CNAME_CHAIN; hops++) {
+    const node = zone[current]
+    if (node === undefined) return { status: 'NXDOMAIN', records: [], ttl: FIXTURE_TTL }
+    if (typeof node === 'string') return { status: node, records: [] }
+    if (node.DNSSEC === 'bogus' && !checkingDisabled) return { status: 'SERVFAIL', records: [] }
+    authenticated = authenticated && node.DNSSEC === 'secure' && !checkingDisabled
+
+    const answer = node[type]
+    if (typeof answer === 'string') return { status: answer, records: [] }
+    if (answer !== undefined) {
+      return answer.length
+        ? { status: 'NOERROR', records: answer, ttl: node.ttl ?? FIXTURE_TTL, authenticated }
+        : { status: 'NODATA', records: [], ttl: FIXTURE_TTL, authenticated }
+    }
+
+    if (type === 'CNAME' || !node.CNAME?.length) return { status: 'NODATA', records: [], ttl: FIXTURE_TTL, authenticated }
+    current = node.CNAME[0].toLowerCase().replace(/\.$/, '')
+  }
+
+  return { status: 'SERVFAIL', records: [], error: 'CNAME chain too long' }
+}
+
+function lookupError(result) {
+  const code = ERROR_CODES[result.status] || 'EBADRESP'
+  const method = `query${result.type.charAt(0)}${result.type.slice(1).toLowerCase()}`
+  return Object.assign(new Error(`${method} ${code} ${result.name}${result.error ? ` (${result.error})` : ''}`), {
+    code,
+    status: result.status,
+    hostname: result.name
+  })
+}
+
+function envNumber(value, fallback) {
+  const number = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback
+}
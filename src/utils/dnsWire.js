@@ -0,0 +1,301 @@
+// src/utils/dnsWire.js
+import dgram from 'dgram'
+import net from 'net'
+import { randomInt } from 'crypto'
+
+// Validating resolvers (Google + Cloudflare); both set the AD bit on authenticated answers
+// Services query through dnsResolver.js, which passes its configured servers
+const DEFAULT_SERVERS = ['8.8.8.8', '1.1.1.1']
+const QUERY_TIMEOUT_MS = 3000
+const EDNS_UDP_PAYLOAD = 4096
+
+export const RECORD_TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, DS: 43, RRSIG: 46, DNSKEY: 48, TLSA: 52 }
+const TYPE_NAMES = Object.fromEntries(Object.entries(RECORD_TYPES).map(([name, code]) => [code, name]))
+const RCODES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED']
+
+// Header flag bits (RFC 1035 §4.1.1, RFC 4035 §3.2)
+const FLAG_TC = 0x0200
+const FLAG_RD = 0x0100
+const FLAG_AD = 0x0020
+const FLAG_CD = 0x0010
+const EDNS_DO = 0x8000
+
+// Send a DNSSEC-aware (DO bit) query, over UDP with TCP fallback or over HTTPS (RFC 8484) when options.url is set
+// Returns { rcode, authenticated, truncated, answers, authority }; records carry raw rdata (data) and a decoded value
+// options.retries: extra rounds over the server list after network errors or timeouts
+export async function queryDNS(name, type, options = {}) {
+  const servers = options.servers || DEFAULT_SERVERS
+  const timeout = options.timeout || QUERY_TIMEOUT_MS
+  const retries = options.retries || 0
+  const packet = encodeQuery(name, type, options.checkingDisabled, options.dnssecOk !== false)
+  let lastError = null
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (options.url) {
+      try {
+        return decodeResponse(await exchangeHTTPS(options.url, packet, timeout))
+      } catch (error) {
+        lastError = error
+      }
+      continue
+    }
+
+    for (const server of servers) {
+      try {
+        const response = decodeResponse(await exchangeUDP(server, packet, timeout))
+        // Retry over TCP when the answer did not fit in a datagram (RFC 7766)
+        return response.truncated
+          ? decodeResponse(await exchangeTCP(server, packet, timeout))
+          : response
+      } catch (error) {
+        lastError = error
+      }
+    }
+  }
+
+  throw lastError
+}
+
+function exchangeUDP(server, packet, timeout) {
+  const { host, port } = parseServer(server)
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4')
+    const timer = setTimeout(() => {
+      socket.close()
+      reject(timeoutError(host))
+    }, timeout)
+
+    socket.on('message', message => {
+      if (message.length < 12 || message.readUInt16BE(0) !== packet.readUInt16BE(0)) return
+      clearTimeout(timer)
+      socket.close()
+      resolve(message)
+    })
+    socket.on('error', error => {
+      clearTimeout(timer)
+      socket.close()
+      reject(error)
+    })
+
+    socket.send(packet, port, host)
+  })
+}
+
+function exchangeTCP(server, packet, timeout) {
+  const { host, port } = parseServer(server)
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port })
+    let buffer = Buffer.alloc(0)
+
+    socket.setTimeout(timeout, () => {
+      socket.destroy()
+      reject(timeoutError(host))
+    })
+    socket.on('connect', () => {
+      const length = Buffer.alloc(2)
+      length.writeUInt16BE(packet.length)
+      socket.write(Buffer.concat([length, packet]))
+    })
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk])
+      if (buffer.length >= 2 && buffer.length >= buffer.readUInt16BE(0) + 2) {
+        socket.destroy()
+        resolve(buffer.subarray(2, buffer.readUInt16BE(0) + 2))
+      }
+    })
+    socket.on('error', reject)
+    // No-op once a full reply resolved; otherwise the server closed mid-reply
+    socket.on('close', () => reject(new Error(`Truncated TCP response from ${host}`)))
+  })
+}
+
+async function exchangeHTTPS(url, packet, timeout) {
+  let response
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/dns-message', Accept: 'application/dns-message' },
+      body: packet,
+      signal: AbortSignal.timeout(timeout)
+    })
+  } catch (error) {
+    throw error.name === 'TimeoutError' ? timeoutError(new URL(url).host) : error
+  }
+
+  if (!response.ok) {
+    throw new Error(`DNS-over-HTTPS server returned HTTP ${response.status}`)
+  }
+  return Buffer.from(await response.arrayBuffer())
+}
+
+function timeoutError(host) {
+  return Object.assign(new Error(`DNS query to ${host} timed out`), { code: 'ETIMEOUT' })
+}
+
+// "192.0.2.53", "192.0.2.53:5353" or "[2001:db8::53]:5353"
+function parseServer(server) {
+  const match = /^\[(.+)\]:(\d+)$/.exec(server) || (!net.isIPv6(server) && /^(.+):(\d+)$/.exec(server))
+  return match ? { host: match[1], port: Number(match[2]) } : { host: server, port: 53 }
+}
+
+function encodeQuery(name, type, checkingDisabled, dnssecOk) {
+  const qtype = RECORD_TYPES[String(type).toUpperCase()]
+  if (!qtype) {
+    throw new Error(`Unsupported record type ${type}`)
+  }
+
+  const header = Buffer.alloc(12)
+  header.writeUInt16BE(randomInt(0x10000), 0)
+  header.writeUInt16BE(FLAG_RD | FLAG_AD | (checkingDisabled ? FLAG_CD : 0), 2)
+  header.writeUInt16BE(1, 4)
+  header.writeUInt16BE(1, 10)
+
+  const labels = String(name).replace(/\.$/, '').split('.').filter(Boolean)
+  const qname = Buffer.concat([
+    ...labels.map(label => {
+      const bytes = Buffer.from(label, 'ascii')
+      if (bytes.length > 63) throw new Error(`Label "${label}" is longer than 63 bytes`)
+      return Buffer.concat([Buffer.from([bytes.length]), bytes])
+    }),
+    Buffer.from([0])
+  ])
+
+  const question = Buffer.alloc(4)
+  question.writeUInt16BE(qtype, 0)
+  question.writeUInt16BE(1, 2)
+
+  // EDNS0 OPT record, with the DO bit so the resolver validates and reports it (RFC 3225)
+  const opt = Buffer.alloc(11)
+  opt.writeUInt16BE(41, 1)
+  opt.writeUInt16BE(EDNS_UDP_PAYLOAD, 3)
+  opt.writeUInt16BE(dnssecOk ? EDNS_DO : 0, 7)
+
+  return Buffer.concat([header, qname, question, opt])
+}
+
+function decodeResponse(message) {
+  const flags = message.readUInt16BE(2)
+  const questions = message.readUInt16BE(4)
+  const answerCount = message.readUInt16BE(6)
+  const authorityCount = message.readUInt16BE(8)
+
+  let offset = 12
+  for (let i = 0; i < questions; i++) {
+    offset = readName(message, offset).end + 4
+  }
+
+  const readRecords = count => {
+    const records = []
+    for (let i = 0; i < count && offset < message.length; i++) {
+      const { name, end } = readName(message, offset)
+      const type = TYPE_NAMES[message.readUInt16BE(end)] || `TYPE${message.readUInt16BE(end)}`
+      const ttl = message.readUInt32BE(end + 4)
+      const length = message.readUInt16BE(end + 8)
+      const start = end + 10
+      records.push({ name, type, ttl, data: message.subarray(start, start + length), value: decodeValue(message, type, start, length) })
+      offset = start + length
+    }
+    return records
+  }
+
+  const answers = readRecords(answerCount)
+  const authority = readRecords(authorityCount)
+
+  return {
+    rcode: RCODES[flags & 0x000f] || `RCODE${flags & 0x000f}`,
+    authenticated: Boolean(flags & FLAG_AD),
+    truncated: Boolean(flags & FLAG_TC),
+    answers,
+    authority
+  }
+}
+
+// Values shaped like Node's dns.resolve* results (TLSA with hex association data); null for types only needed as raw rdata
+function decodeValue(message, type, start, length) {
+  switch (type) {
+    case 'A':
+      return [...message.subarray(start, start + 4)].join('.')
+    case 'AAAA':
+      return formatIPv6(message.subarray(start, start + 16))
+    case 'CNAME':
+    case 'NS':
+    case 'PTR':
+      return readName(message, start).name
+    case 'MX':
+      return { exchange: readName(message, start + 2).name, priority: message.readUInt16BE(start) }
+    case 'TXT': {
+      const strings = []
+      for (let offset = start; offset < start + length; offset += message[offset] + 1) {
+        strings.push(message.toString('utf8', offset + 1, offset + 1 + message[offset]))
+      }
+      return strings
+    }
+    case 'SOA': {
+      const nsname = readName(message, start)
+      const hostmaster = readName(message, nsname.end)
+      const fields = hostmaster.end
+      return {
+        nsname: nsname.name,
+        hostmaster: hostmaster.name,
+        serial: message.readUInt32BE(fields),
+        refresh: message.readUInt32BE(fields + 4),
+        retry: message.readUInt32BE(fields + 8),
+        expire: message.readUInt32BE(fields + 12),
+        minttl: message.readUInt32BE(fields + 16)
+      }
+    }
+    case 'TLSA':
+      return {
+        usage: message[start],
+        selector: message[start + 1],
+        matchingType: message[start + 2],
+        data: message.toString('hex', start + 3, start + length)
+      }
+    default:
+      return null
+  }
+}
+
+// Compressed RFC 5952 form, e.g. 2001:db8::1
+function formatIPv6(bytes) {
+  const groups = []
+  for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16))
+
+  let best = { start: -1, length: 1 }
+  for (let i = 0; i < 8; i++) {
+    let length = 0
+    while (i + length < 8 && groups[i + length] === '0') length++
+    if (length > best.length) best = { start: i, length }
+  }
+
+  if (best.start === -1) return groups.join(':')
+  return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`
+}
+
+// Read a possibly compressed name; end is the offset just after it in the original position
+function readName(message, start) {
+  const labels = []
+  let offset = start
+  let end = null
+  let jumps = 0
+
+  while (offset < message.length) {
+    const length = message[offset]
+    if (length === 0) {
+      offset += 1
+      break
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (end === null) end = offset + 2
+      if (++jumps > 20) throw new Error('DNS name compression loop')
+      offset = ((length & 0x3f) << 8) | message[offset + 1]
+      continue
+    }
+    labels.push(message.toString('ascii', offset + 1, offset + 1 + length))
+    offset += length + 1
+  }
+
+  return { name: labels.join('.'), end: end === null ? offset : end }
+}
@@ -0,0 +1,37 @@
+// src/utils/dnssec.js
+import { lookup } from './dnsResolver.js'
+
+// DNSSEC status of one name/type as seen by a validating resolver, from the shared (cached) resolver
+// secure: AD bit set; insecure: answered without AD (unsigned zone);
+// bogus: SERVFAIL that disappears with CD set (validation failure); indeterminate: no usable answer
+export async function checkDNSSEC(name, type = 'A') {
+  const result = await lookup(name, type, { dnssec: true })
+  const record = {
+    name,
+    type,
+    status: result.dnssec,
+    rcode: ['TIMEOUT', 'ERROR'].includes(result.status) ? null : result.status === 'NODATA' ? 'NOERROR' : result.status
+  }
+  if (result.error) record.error = result.error
+  return record
+}
+
+// Check several names and summarize: any bogus answer makes the whole set bogus,
+// and only a set where every answer is authenticated is secure
+export async function dnssecSummary(queries) {
+  const records = await Promise.all(queries
+    .filter(entry => entry && entry.name)
+    .map(entry => checkDNSSEC(entry.name, entry.type)))
+
+  return summarizeDNSSEC(records)
+}
+
+// Combine already-checked records, e.g. from several analyzers
+export function summarizeDNSSEC(records) {
+  let status = 'indeterminate'
+  if (records.some(record => record.status === 'bogus')) status = 'bogus'
+  else if (records.length && records.every(record => record.status === 'secure')) status = 'secure'
+  else if (records.some(record => record.status === 'insecure')) status = 'insecure'
+
+  return { status, records }
+}
@@ -0,0 +1,80 @@
+// src/utils/domainList.js
+
+// Letters, digits, hyphens and underscores (for _dmarc-style names) in labels, at least two labels
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/
+
+// Same normalization the single-domain endpoints apply
+export function cleanDomain(value) {
+  return String(value).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0].replace(/\.$/, '')
+}
+
+// Normalize, validate and de-duplicate a list of domains, keeping the first occurrence's order
+export function normalizeDomainList(values) {
+  const domains = []
+  const invalid = []
+  const seen = new Set()
+
+  for (const value of values) {
+    if (value === null || value === undefined || String(value).trim() === '') continue
+    const domain = cleanDomain(value)
+    if (!DOMAIN_PATTERN.test(domain)) {
+      invalid.push(String(value).trim())
+    } else if (!seen.has(domain)) {
+      seen.add(domain)
+      domains.push(domain)
+    }
+  }
+
+  return { domains, invalid }
+}
+
+// CSV (domain taken from a "domain" column, else the first column) or one domain per line
+export function parseDomainList(text) {
+  const rows = String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(splitCSVLine)
+
+  if (rows.length === 0) return normalizeDomainList([])
+
+  const header = rows[0].map(cell => cell.toLowerCase())
+  const column = header.findIndex(cell => ['domain', 'domains', 'hostname', 'website', 'url'].includes(cell))
+  const values = column === -1
+    ? rows.map(row => row[0])
+    : rows.slice(1).map(row => row[column])
+
+  return normalizeDomainList(values)
+}
+
+// Comma or semicolon separated, with RFC 4180 double-quoted cells
+function splitCSVLine(line) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',' || char === ';' || char === '\t') {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  cells.push(cell.trim())
+  return cells
+}
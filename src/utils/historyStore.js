@@ -0,0 +1,86 @@
+// src/utils/historyStore.js
+import { mkdir, readFile, writeFile, appendFile, rename } from 'fs/promises'
+import path from 'path'
+
+// File-based scan history: one NDJSON file per domain, oldest scan first
+// Override the location with HISTORY_DIR (default ./data/history); HISTORY_MAX_SCANS caps scans kept per domain
+const HISTORY_DIR = path.resolve(process.env.HISTORY_DIR || 'data/history')
+const MAX_SCANS = Math.max(Number(process.env.HISTORY_MAX_SCANS) || 500, 1)
+// Files are trimmed back to MAX_SCANS once they hold this many extra lines, so appends rarely rewrite
+const TRIM_SLACK = Math.max(Math.ceil(MAX_SCANS / 10), 1)
+// Line counts are remembered per domain; the map is dropped (and recounted lazily) when it grows past this
+const MAX_TRACKED_DOMAINS = 10000
+const DOMAIN_PATTERN = /^[a-z0-9_][a-z0-9_.-]*$/
+
+// Appends to one domain are chained so trimming never races another append
+const writes = new Map()
+const lineCounts = new Map()
+
+export async function appendScan(domain, scan) {
+  const previous = writes.get(domain) || Promise.resolve()
+  const write = previous.catch(() => null).then(async () => {
+    await mkdir(HISTORY_DIR, { recursive: true })
+    const file = historyFile(domain)
+    const lines = lineCounts.has(domain) ? lineCounts.get(domain) : await countLines(file)
+    await appendFile(file, `${JSON.stringify(scan)}\n`)
+
+    if (lineCounts.size >= MAX_TRACKED_DOMAINS && !lineCounts.has(domain)) lineCounts.clear()
+    lineCounts.set(domain, lines + 1)
+
+    if (lines + 1 > MAX_SCANS + TRIM_SLACK) {
+      const scans = await readAllScans(domain)
+      await writeFile(`${file}.tmp`, scans.slice(-MAX_SCANS).map(entry => `${JSON.stringify(entry)}\n`).join(''))
+      await rename(`${file}.tmp`, file)
+      lineCounts.set(domain, Math.min(scans.length, MAX_SCANS))
+    }
+  })
+
+  writes.set(domain, write)
+  try {
+    await write
+  } finally {
+    if (writes.get(domain) === write) writes.delete(domain)
+  }
+}
+
+// The MAX_SCANS most recent scans; a line cut short by a crash is skipped
+export async function readScans(domain) {
+  return (await readAllScans(domain)).slice(-MAX_SCANS)
+}
+
+async function readAllScans(domain) {
+  let text
+  try {
+    text = await readFile(historyFile(domain), 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)]
+    } catch {
+      return []
+    }
+  })
+}
+
+async function countLines(file) {
+  try {
+    const data = await readFile(file)
+    let count = 0
+    for (let index = data.indexOf(10); index !== -1; index = data.indexOf(10, index + 1)) count++
+    return count
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0
+    throw error
+  }
+}
+
+function historyFile(domain) {
+  if (!DOMAIN_PATTERN.test(domain)) {
+    throw new Error(`Invalid domain for history: ${domain}`)
+  }
+  return path.join(HISTORY_DIR, `${domain}.ndjson`)
+}
@@ -0,0 +1,101 @@
+// src/utils/jobStore.js
+import { mkdir, readFile, writeFile, appendFile, rename, readdir, rm } from 'fs/promises'
+import path from 'path'
+
+// File-based job store: <id>.json holds the job, <id>.results.ndjson collects per-domain bulk results
+// Override the location with JOBS_DIR (default ./data/jobs)
+const JOBS_DIR = path.resolve(process.env.JOBS_DIR || 'data/jobs')
+const ID_PATTERN = /^[0-9a-f-]{36}$/
+
+// Writes to one job are chained so an older snapshot never replaces a newer one
+const writes = new Map()
+
+export async function saveJob(job) {
+  const previous = writes.get(job.id) || Promise.resolve()
+  const snapshot = JSON.stringify(job)
+  const write = previous.catch(() => null).then(async () => {
+    await mkdir(JOBS_DIR, { recursive: true })
+    // Write then rename so a crash never leaves a truncated file behind
+    const file = jobFile(job.id)
+    await writeFile(`${file}.tmp`, snapshot)
+    await rename(`${file}.tmp`, file)
+  })
+
+  writes.set(job.id, write)
+  try {
+    await write
+  } finally {
+    if (writes.get(job.id) === write) writes.delete(job.id)
+  }
+}
+
+export async function loadJob(id) {
+  if (!ID_PATTERN.test(id)) return null
+  try {
+    return JSON.parse(await readFile(jobFile(id), 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+export async function listJobs() {
+  let files
+  try {
+    files = await readdir(JOBS_DIR)
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const jobs = await Promise.all(files
+    .filter(file => /^[0-9a-f-]{36}\.json$/.test(file))
+    .map(file => loadJob(file.slice(0, -5)).catch(() => null)))
+  return jobs.filter(Boolean)
+}
+
+export async function appendJobResult(id, entry) {
+  await mkdir(JOBS_DIR, { recursive: true })
+  await appendFile(resultsFile(id), `${JSON.stringify(entry)}\n`)
+}
+
+// Rewrite the results file, e.g. to drop a line cut short by a crash before appending again
+export async function replaceJobResults(id, entries) {
+  await mkdir(JOBS_DIR, { recursive: true })
+  const file = resultsFile(id)
+  await writeFile(`${file}.tmp`, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''))
+  await rename(`${file}.tmp`, file)
+}
+
+// A line cut short by a crash is skipped
+export async function readJobResults(id) {
+  if (!ID_PATTERN.test(id)) return []
+  let text
+  try {
+    text = await readFile(resultsFile(id), 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)]
+    } catch {
+      return []
+    }
+  })
+}
+
+export async function deleteJob(id) {
+  if (!ID_PATTERN.test(id)) return
+  await Promise.all([rm(jobFile(id), { force: true }), rm(resultsFile(id), { force: true })])
+}
+
+function jobFile(id) {
+  return path.join(JOBS_DIR, `${id}.json`)
+}
+
+function resultsFile(id) {
+  return path.join(JOBS_DIR, `${id}.results.ndjson`)
+}
@@ -0,0 +1,119 @@
+// src/utils/mime.js
+import libmime from 'libmime'
+
+// Maximum nesting depth for multipart bodies and attached messages
+const MAX_DEPTH = 10
+
+// Parse a raw RFC 5322 message into a tree of MIME parts
+export function parseMimeMessage(input, depth = 0) {
+  const raw = Buffer.isBuffer(input) ? input : Buffer.from(String(input))
+  const { headerText, body } = splitHeaderAndBody(raw)
+  const headers = parseHeaderBlock(headerText)
+
+  const header = name => {
+    const entry = headers.find(item => item.key === name.toLowerCase())
+    return entry ? entry.value : null
+  }
+
+  const contentType = libmime.parseHeaderValue(header('content-type') || 'text/plain')
+  contentType.value = contentType.value.toLowerCase()
+
+  const part = {
+    headers,
+    header,
+    contentType: contentType.value,
+    params: contentType.params,
+    body: decodeTransferEncoding(body, header('content-transfer-encoding')),
+    parts: []
+  }
+
+  if (depth < MAX_DEPTH && part.contentType.startsWith('multipart/') && part.params.boundary) {
+    part.parts = splitMultipart(body, part.params.boundary).map(section => parseMimeMessage(section, depth + 1))
+  }
+
+  return part
+}
+
+// Parse a block of "Key: value" lines, unfolding continuation lines
+export function parseHeaderBlock(text) {
+  const headers = []
+
+  for (const line of String(text).split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      const last = headers[headers.length - 1]
+      last.line += `\r\n${line}`
+      last.value += ` ${line.trim()}`
+      continue
+    }
+
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+
+    headers.push({
+      key: line.slice(0, separator).trim().toLowerCase(),
+      line,
+      value: line.slice(separator + 1).trim()
+    })
+  }
+
+  // Decode RFC 2047 encoded words once the value is complete
+  for (const entry of headers) {
+    try {
+      entry.value = libmime.decodeWords(entry.value)
+    } catch (error) {
+      // keep the undecoded value
+    }
+  }
+
+  return headers
+}
+
+function splitHeaderAndBody(raw) {
+  const text = raw.toString('binary')
+  const match = /\r?\n\r?\n/.exec(text)
+  if (!match) {
+    return { headerText: raw.toString('utf8'), body: Buffer.alloc(0) }
+  }
+  return {
+    headerText: raw.slice(0, match.index).toString('utf8'),
+    body: raw.slice(match.index + match[0].length)
+  }
+}
+
+function splitMultipart(body, boundary) {
+  const text = body.toString('binary')
+  const delimiter = `--${boundary}`
+  const sections = []
+
+  let start = text.indexOf(delimiter)
+  while (start !== -1) {
+    const contentStart = start + delimiter.length
+    if (text.slice(contentStart, contentStart + 2) === '--') break
+
+    const next = text.indexOf(delimiter, contentStart)
+    if (next === -1) break
+
+    // Drop the line break after the delimiter and the one that belongs to the next delimiter
+    const section = text.slice(contentStart, next).replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, '')
+    sections.push(Buffer.from(section, 'binary'))
+    start = next
+  }
+
+  return sections
+}
+
+function decodeTransferEncoding(body, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.toString('binary').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64')
+    case 'quoted-printable':
+      return Buffer.from(
+        body.toString('binary')
+          .replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'binary'
+      )
+    default:
+      return body
+  }
+}
@@ -0,0 +1,73 @@
+// src/utils/multipart.js
+
+// Minimal multipart/form-data parser for buffered request bodies
+export function parseMultipart(body, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '')
+  if (!boundaryMatch) {
+    throw new Error('Missing multipart boundary')
+  }
+
+  const boundary = Buffer.from(`--${(boundaryMatch[1] || boundaryMatch[2]).trim()}`)
+  const parts = []
+
+  let start = body.indexOf(boundary)
+  while (start !== -1) {
+    const headerStart = start + boundary.length
+    // "--" after the boundary marks the end of the body
+    if (body.slice(headerStart, headerStart + 2).toString() === '--') break
+
+    const next = body.indexOf(boundary, headerStart)
+    if (next === -1) break
+
+    const section = body.slice(headerStart, next)
+    const headerEnd = section.indexOf('\r\n\r\n')
+    if (headerEnd !== -1) {
+      const headers = parsePartHeaders(section.slice(0, headerEnd).toString('utf8'))
+      // Strip the leading CRLF after the boundary and the trailing CRLF before the next one
+      const data = section.slice(headerEnd + 4, section.length - 2)
+      const disposition = headers['content-disposition'] || ''
+
+      parts.push({
+        name: dispositionParam(disposition, 'name'),
+        filename: dispositionParam(disposition, 'filename'),
+        contentType: headers['content-type'] || null,
+        data
+      })
+    }
+
+    start = next
+  }
+
+  return parts
+}
+
+// Split parts into plain text fields and uploaded files
+export function groupMultipartParts(parts) {
+  const fields = {}
+  const files = []
+
+  for (const part of parts) {
+    if (part.filename !== null) {
+      files.push(part)
+    } else if (part.name) {
+      fields[part.name] = part.data.toString('utf8')
+    }
+  }
+
+  return { fields, files }
+}
+
+function parsePartHeaders(text) {
+  const headers = {}
+  for (const line of text.replace(/^\r\n/, '').split('\r\n')) {
+    const separator = line.indexOf(':')
+    if (separator === -1) continue
+    headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+  }
+  return headers
+}
+
+function dispositionParam(disposition, name) {
+  const match = new RegExp(`(?:^|;)\\s*${name}=(?:"([^"]*)"|([^;]*))`, 'i').exec(disposition)
+  return match ? (match[1] !== undefined ? match[1] : match[2].trim()) : null
+}
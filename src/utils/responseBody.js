@@ -0,0 +1,24 @@
+// src/utils/responseBody.js
+
+// Read a fetch() response body, cancelling the stream once it passes maxBytes
+// Returns at most maxBytes + 1 bytes so callers can tell an oversized body from one exactly at the limit
+export async function readLimitedBody(response, maxBytes) {
+  if (!response.body) return Buffer.alloc(0)
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let size = 0
+
+  while (size <= maxBytes) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    size += value.length
+  }
+
+  if (size > maxBytes) {
+    await reader.cancel().catch(() => null)
+  }
+
+  return Buffer.concat(chunks).subarray(0, maxBytes + 1)
+}
@@ -0,0 +1,301 @@
+// src/utils/spfParser.js
+import { isIPv4, isIPv6 } from 'net'
+
+// RFC 7208 §12 grammar
+const MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists']
+const DOMAIN_REQUIRED = ['include', 'exists']
+const MACRO_LETTERS = 'slodiphv'
+const EXP_MACRO_LETTERS = 'crt'
+const QUALIFIERS = '+-~?'
+
+// Tokenize and parse an SPF record into structured terms with positional diagnostics
+export function parseSPFRecord(record) {
+  const errors = []
+  const warnings = []
+  const terms = []
+  const text = String(record)
+
+  const versionMatch = text.match(/^v=spf1(?= |$)/i)
+  if (!versionMatch) {
+    errors.push({ position: 0, message: 'Record must start with "v=spf1"' })
+    return { version: null, terms, errors, warnings, valid: false }
+  }
+
+  const tabPosition = text.search(/[\t\r\n]/)
+  if (tabPosition !== -1) {
+    errors.push({ position: tabPosition, message: 'Terms must be separated by spaces only' })
+  }
+
+  const tokenPattern = /[^ \t\r\n]+/g
+  tokenPattern.lastIndex = versionMatch[0].length
+  let match
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const term = parseTerm(match[0], match.index)
+    term.macros.forEach(macro => { macro.position += term.position })
+    terms.push(term)
+  }
+
+  terms.forEach(term => term.errors.forEach(error => errors.push(error)))
+
+  const seenModifiers = {}
+  terms.filter(term => term.kind === 'modifier').forEach(term => {
+    if ((term.name === 'redirect' || term.name === 'exp') && seenModifiers[term.name]) {
+      errors.push({ position: term.position, message: `Modifier "${term.name}" appears more than once` })
+    }
+    seenModifiers[term.name] = true
+  })
+
+  const allIndex = terms.findIndex(term => term.name === 'all')
+  if (allIndex !== -1) {
+    const allTerm = terms[allIndex]
+    terms.slice(allIndex + 1)
+      .filter(term => term.kind === 'mechanism')
+      .forEach(term => warnings.push({ position: term.position, message: `"${term.raw}" after "all" is never evaluated` }))
+
+    if (seenModifiers.redirect) {
+      const redirect = terms.find(term => term.name === 'redirect')
+      warnings.push({ position: redirect.position, message: '"redirect=" is ignored because the record contains "all"' })
+    }
+
+    if (allTerm.qualifier === '+') {
+      warnings.push({ position: allTerm.position, message: '"+all" authorizes every host on the internet' })
+    }
+  }
+
+  terms.filter(term => term.name === 'ptr').forEach(term => {
+    warnings.push({ position: term.position, message: '"ptr" is slow and unreliable and should not be used (RFC 7208 §5.5)' })
+  })
+
+  return {
+    version: 'spf1',
+    terms,
+    errors: errors.sort((a, b) => a.position - b.position),
+    warnings: warnings.sort((a, b) => a.position - b.position),
+    valid: errors.length === 0
+  }
+}
+
+function parseTerm(raw, position) {
+  const term = {
+    raw,
+    position,
+    kind: null,
+    qualifier: '+',
+    name: null,
+    value: '',
+    domainSpec: null,
+    cidr4: null,
+    cidr6: null,
+    macros: [],
+    errors: []
+  }
+  const error = (offset, message) => term.errors.push({ position: position + offset, message })
+
+  // Modifiers: name "=" macro-string
+  const modifierMatch = raw.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i)
+  if (modifierMatch) {
+    term.kind = 'modifier'
+    term.name = modifierMatch[1].toLowerCase()
+    term.value = modifierMatch[2]
+    const valueOffset = modifierMatch[1].length + 1
+
+    if (term.name === 'redirect' || term.name === 'exp') {
+      term.domainSpec = term.value
+      validateDomainSpec(term, term.value, valueOffset, error, false)
+    } else {
+      term.macros = parseMacroString(term.value, valueOffset, error, true)
+    }
+    return term
+  }
+
+  term.kind = 'mechanism'
+  let offset = 0
+  if (QUALIFIERS.includes(raw[0])) {
+    term.qualifier = raw[0]
+    offset = 1
+  }
+
+  const nameMatch = raw.slice(offset).match(/^[a-z0-9]+/i)
+  const name = nameMatch ? nameMatch[0].toLowerCase() : ''
+
+  if (!MECHANISMS.includes(name)) {
+    error(offset, `Unknown mechanism "${raw.slice(offset).split(/[:/]/)[0] || raw}"`)
+    term.name = name || raw
+    return term
+  }
+
+  term.name = name
+  offset += name.length
+  const rest = raw.slice(offset)
+
+  if (name === 'all') {
+    if (rest) error(offset, '"all" does not take any arguments')
+    return term
+  }
+
+  if (name === 'ip4' || name === 'ip6') {
+    if (!rest.startsWith(':')) {
+      error(offset, `"${name}" requires an address, e.g. ${name}:${name === 'ip4' ? '192.0.2.0/24' : '2001:db8::/32'}`)
+      return term
+    }
+
+    const [address, length, ...extra] = rest.slice(1).split('/')
+    const bits = name === 'ip4' ? 32 : 128
+    const validAddress = name === 'ip4' ? isIPv4(address) : isIPv6(address)
+    term.value = rest.slice(1)
+
+    if (!validAddress) {
+      error(offset + 1, `Invalid ${name === 'ip4' ? 'IPv4' : 'IPv6'} address "${address}"`)
+    }
+    if (length !== undefined) {
+      const prefix = parseCIDRLength(length, bits)
+      if (prefix === null) {
+        error(offset + 2 + address.length, `Invalid CIDR length "/${length}" (must be 0-${bits})`)
+      } else if (name === 'ip4') {
+        term.cidr4 = prefix
+      } else {
+        term.cidr6 = prefix
+      }
+    }
+    if (extra.length > 0) {
+      error(offset + 1, `Unexpected "/" in ${name} network`)
+    }
+    return term
+  }
+
+  // a, mx, ptr, include, exists: [":" domain-spec] [dual-cidr-length]
+  let domainPart = ''
+  let cidrPart = rest
+
+  if (rest.startsWith(':')) {
+    const cidrStart = findCIDRStart(rest)
+    domainPart = rest.slice(1, cidrStart)
+    cidrPart = rest.slice(cidrStart)
+  } else if (rest && !rest.startsWith('/')) {
+    error(offset, `Unexpected "${rest}" after "${name}"`)
+    return term
+  }
+
+  if (DOMAIN_REQUIRED.includes(name) && !domainPart) {
+    error(offset, `"${name}" requires a domain, e.g. ${name}:example.com`)
+    return term
+  }
+
+  if (domainPart) {
+    term.domainSpec = domainPart
+    term.value = domainPart
+    validateDomainSpec(term, domainPart, offset + 1, error, false)
+  }
+
+  if (cidrPart) {
+    const cidrOffset = offset + rest.length - cidrPart.length
+    if (name !== 'a' && name !== 'mx') {
+      error(cidrOffset, `"${name}" does not accept a CIDR length`)
+      return term
+    }
+
+    const cidrMatch = cidrPart.match(/^(?:\/(\d+))?(?:\/\/(\d+))?$/)
+    if (!cidrMatch) {
+      error(cidrOffset, `Invalid dual CIDR length "${cidrPart}"`)
+      return term
+    }
+
+    if (cidrMatch[1] !== undefined) {
+      term.cidr4 = parseCIDRLength(cidrMatch[1], 32)
+      if (term.cidr4 === null) error(cidrOffset, `Invalid IPv4 CIDR length "/${cidrMatch[1]}" (must be 0-32)`)
+    }
+    if (cidrMatch[2] !== undefined) {
+      term.cidr6 = parseCIDRLength(cidrMatch[2], 128)
+      if (term.cidr6 === null) error(cidrOffset, `Invalid IPv6 CIDR length "//${cidrMatch[2]}" (must be 0-128)`)
+    }
+  }
+
+  return term
+}
+
+// The dual-cidr suffix starts at the first "/" that isn't inside a macro
+function findCIDRStart(rest) {
+  let depth = 0
+  for (let i = 1; i < rest.length; i++) {
+    if (rest[i] === '{') depth++
+    else if (rest[i] === '}') depth--
+    else if (rest[i] === '/' && depth === 0) return i
+  }
+  return rest.length
+}
+
+function validateDomainSpec(term, spec, offset, error, allowExpLetters) {
+  term.macros = parseMacroString(spec, offset, error, allowExpLetters)
+  if (!spec) {
+    error(offset, `"${term.name}" requires a domain`)
+    return
+  }
+
+  // domain-end must be a macro or a valid top label
+  if (/%\{[^}]*\}$/.test(spec)) return
+
+  const labels = spec.replace(/\.$/, '').split('.')
+  const topLabel = labels[labels.length - 1]
+  if (labels.length < 2 || !/^(?=.*[a-z])[a-z0-9-]+$/i.test(topLabel) || topLabel.startsWith('-') || topLabel.endsWith('-')) {
+    error(offset, `"${spec}" is not a valid domain name`)
+  }
+  if (spec.length > 253) {
+    error(offset, `Domain "${spec.slice(0, 32)}…" exceeds 253 characters`)
+  }
+}
+
+function parseMacroString(value, offset, error, allowExpLetters) {
+  const macros = []
+  const allowed = allowExpLetters ? MACRO_LETTERS + EXP_MACRO_LETTERS : MACRO_LETTERS
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i]
+    if (char !== '%') {
+      const code = char.charCodeAt(0)
+      if (code < 0x21 || code > 0x7e) {
+        error(offset + i, `Invalid character "${char}"`)
+      }
+      continue
+    }
+
+    const next = value[i + 1]
+    if (next === '%' || next === '_' || next === '-') {
+      macros.push({ position: offset + i, raw: `%${next}`, letter: null })
+      i++
+      continue
+    }
+
+    const macroMatch = value.slice(i).match(/^%\{([a-z])(\d*)(r?)([.\-+,/_=]*)\}/i)
+    if (!macroMatch) {
+      error(offset + i, 'Invalid macro: "%" must be followed by "{", "%", "_" or "-"')
+      continue
+    }
+
+    const [raw, letter, digits, reverse, delimiters] = macroMatch
+    if (!allowed.includes(letter.toLowerCase())) {
+      error(offset + i, `Invalid macro letter "${letter}"`)
+    }
+    if (digits && Number(digits) === 0) {
+      error(offset + i, 'Macro digit transformer must be greater than zero')
+    }
+
+    macros.push({
+      position: offset + i,
+      raw,
+      letter: letter.toLowerCase(),
+      urlEncode: letter !== letter.toLowerCase(),
+      digits: digits ? Number(digits) : null,
+      reverse: Boolean(reverse),
+      delimiters: delimiters || '.'
+    })
+    i += raw.length - 1
+  }
+
+  return macros
+}
+
+function parseCIDRLength(text, bits) {
+  if (!/^(0|[1-9]\d{0,2})$/.test(text)) return null
+  const value = Number(text)
+  return value <= bits ? value : null
+}
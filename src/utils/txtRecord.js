@@ -0,0 +1,33 @@
+// src/utils/txtRecord.js
+
+// Limits for a single TXT character-string and a non-EDNS UDP response
+export const MAX_TXT_STRING_LENGTH = 255
+export const MAX_UDP_RESPONSE_BYTES = 512
+
+// Describe a TXT record split into the 255-character strings DNS requires
+export function toTXTRecord(name, value) {
+  const strings = []
+  for (let i = 0; i < value.length; i += MAX_TXT_STRING_LENGTH) {
+    strings.push(value.slice(i, i + MAX_TXT_STRING_LENGTH))
+  }
+
+  return {
+    name,
+    type: 'TXT',
+    value,
+    strings,
+    length: value.length,
+    estimatedResponseBytes: estimateResponseSize(name, value)
+  }
+}
+
+export function fitsInResponse(name, value) {
+  return estimateResponseSize(name, value) <= MAX_UDP_RESPONSE_BYTES
+}
+
+// Header + question + a single answer RR using a compressed name pointer
+export function estimateResponseSize(name, value) {
+  const encodedName = name.length + 2
+  const stringCount = Math.max(1, Math.ceil(value.length / MAX_TXT_STRING_LENGTH))
+  return 12 + (encodedName + 4) + (2 + 10 + value.length + stringCount)
+}